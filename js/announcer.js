@@ -0,0 +1,58 @@
+/**
+ * Screen-reader announcements through an aria-live region: every state
+ * change (StateMachine.stateLabel), and the entropy at most every
+ * ENTROPY_INTERVAL seconds and only once it has moved noticeably.
+ */
+
+const ENTROPY_INTERVAL = 10;  // seconds between entropy readouts
+const ENTROPY_MIN_CHANGE = 0.05; // normalized; smaller drifts aren't worth a readout
+
+export class Announcer {
+  /**
+   * @param {{ textContent: string }} region - element with aria-live="polite"
+   */
+  constructor(region) {
+    this.region = region;
+    this.lastState = null;
+    this.lastEntropyTime = -Infinity;
+    this.lastNormalized = null;
+  }
+
+  /** Speak a message now. */
+  announce(message) {
+    this.region.textContent = message;
+  }
+
+  /**
+   * Call once per frame.
+   * @param {{ currentEntropy: number, normalizedEntropy: number }} entropy
+   * @param {{ stateLabel: string }} stateMachine
+   * @param {number} time - seconds (wall clock, so it keeps counting while paused)
+   */
+  update(entropy, stateMachine, time) {
+    const state = stateMachine.stateLabel;
+    if (state !== this.lastState) {
+      // The first call just records the initial state; it's in the page text already
+      if (this.lastState !== null) this.announce(`${describeState(state)}. ${describeEntropy(entropy)}`);
+      this.lastState = state;
+      this.lastEntropyTime = time;
+      this.lastNormalized = entropy.normalizedEntropy;
+      return;
+    }
+
+    if (time - this.lastEntropyTime < ENTROPY_INTERVAL) return;
+    if (Math.abs(entropy.normalizedEntropy - this.lastNormalized) < ENTROPY_MIN_CHANGE) return;
+    this.announce(describeEntropy(entropy));
+    this.lastEntropyTime = time;
+    this.lastNormalized = entropy.normalizedEntropy;
+  }
+}
+
+function describeState(label) {
+  return label.charAt(0) + label.slice(1).toLowerCase();
+}
+
+function describeEntropy(entropy) {
+  const pct = Math.round(entropy.normalizedEntropy * 100);
+  return `Entropy ${entropy.currentEntropy.toFixed(2)} bits, ${pct}% of maximum`;
+}
\ No newline at end of file
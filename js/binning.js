@@ -0,0 +1,78 @@
+/**
+ * Speed histogram binning — the one description of the speed bins shared
+ * by histogram.wgsl, the CPU reference (observables.js), the entropy
+ * calculator, the Maxwell-Boltzmann fit and the histogram chart. The
+ * settings are SimParams (histBins, histMaxSpeed, histScheme) so they can
+ * change at runtime; resolveBinning turns them into the concrete bins one
+ * measurement uses, and every readback carries that result along.
+ *
+ * Schemes:
+ *   linear    equal-width bins over [0, maxSpeed]
+ *   log       bin 0 is [0, maxSpeed·LOG_MIN_FRACTION), the rest equal in log speed
+ *   adaptive  linear over the fastest speed in the previous measurement
+ * In every scheme the top bin also collects all speeds past the range.
+ */
+
+// Values of the histScheme parameter
+export const BinScheme = {
+  LINEAR:   0,
+  LOG:      1,
+  ADAPTIVE: 2,
+};
+
+export const DEFAULT_SPEED_BINS = 64;
+export const MAX_SPEED_BINS = 256;   // the GPU histogram buffer is sized for this many
+export const LOG_MIN_FRACTION = 1e-3; // log scheme: bottom of bin 1 relative to maxSpeed (also in histogram.wgsl)
+const ADAPTIVE_HEADROOM = 1.05;       // so the fastest particle doesn't always sit in the top bin
+const ADAPTIVE_MIN_RANGE = 0.1;       // a lattice at rest still gets a usable range
+
+/**
+ * @typedef {{ bins: number, maxSpeed: number, log: boolean }} Binning
+ */
+
+/**
+ * Concrete bins for the current settings.
+ * @param {import('./sim-params.js').SimParams} params
+ * @param {number} observedMax - fastest speed last measured (adaptive scheme)
+ * @returns {Binning}
+ */
+export function resolveBinning(params, observedMax = 0) {
+  const bins = Math.min(Math.max(Math.round(params.histBins), 2), MAX_SPEED_BINS);
+  const scheme = Math.round(params.histScheme);
+  const maxSpeed = scheme === BinScheme.ADAPTIVE
+    ? Math.max(observedMax * ADAPTIVE_HEADROOM, ADAPTIVE_MIN_RANGE)
+    : params.histMaxSpeed;
+  return { bins, maxSpeed, log: scheme === BinScheme.LOG };
+}
+
+/**
+ * Bin index of a speed — the CPU mirror of histogram.wgsl.
+ * @param {number} speed
+ * @param {Binning} binning
+ */
+export function speedBin(speed, { bins, maxSpeed, log }) {
+  if (log) {
+    const lo = maxSpeed * LOG_MIN_FRACTION;
+    if (!(speed >= lo)) return 0;
+    const t = Math.log(speed / lo) / Math.log(1 / LOG_MIN_FRACTION);
+    return Math.min(1 + Math.floor(t * (bins - 1)), bins - 1);
+  }
+  const norm = Math.min(Math.max(speed / maxSpeed, 0), 0.9999);
+  return Math.floor(norm * bins);
+}
+
+/**
+ * Bin edges, bins + 1 ascending from 0 (the top bin is open past the last).
+ * @param {Binning} binning
+ * @returns {Float64Array}
+ */
+export function speedEdges({ bins, maxSpeed, log }) {
+  const edges = new Float64Array(bins + 1);
+  if (log) {
+    const lo = maxSpeed * LOG_MIN_FRACTION;
+    for (let k = 1; k <= bins; k++) edges[k] = lo * Math.pow(1 / LOG_MIN_FRACTION, (k - 1) / (bins - 1));
+  } else {
+    for (let k = 0; k <= bins; k++) edges[k] = (k / bins) * maxSpeed;
+  }
+  return edges;
+}
\ No newline at end of file
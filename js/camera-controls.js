@@ -0,0 +1,190 @@
+/**
+ * Pointer input for the Camera: drag to orbit (with inertia), wheel or
+ * pinch to zoom, two-finger drag to pan, double-click / double-tap to reset.
+ *
+ * Taps are told apart from drags so the scene's click-to-shatter toggle
+ * still works: a press that moves less than TAP_SLOP px and lifts within
+ * TAP_MAX_MS is a tap. A touch tap fires only after DOUBLE_TAP_MS with no
+ * second tap (otherwise it's a double tap = reset, never a toggle); a mouse
+ * or pen click fires at once, and a second one within DOUBLE_TAP_MS resets.
+ */
+
+const TAP_SLOP = 6;          // px of movement before a press becomes a drag
+const TAP_MAX_MS = 400;      // longer presses aren't taps
+const DOUBLE_TAP_MS = 250;   // window for a second tap or click
+const ORBIT_SPEED = Math.PI; // rad per viewport height dragged
+const WHEEL_ZOOM = 0.0015;   // per wheel pixel (zoom is exponential)
+const FLING_MIN = 0.05;      // rad/s below which a release just stops
+
+export class CameraControls {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./camera.js').Camera} camera
+   * @param {{ onTap?: () => void, onReset?: () => void }} handlers
+   */
+  constructor(canvas, camera, { onTap = () => {}, onReset = () => {} } = {}) {
+    this.canvas = canvas;
+    this.camera = camera;
+    this.onTap = onTap;
+    this.onReset = onReset;
+
+    this.pointers = new Map();  // pointerId -> { x, y }
+    this.dragged = false;       // current gesture moved past TAP_SLOP or used two fingers
+    this.pressStart = 0;
+    this.pressX = 0;
+    this.pressY = 0;
+    this.pinchDistance = 0;
+    this.pinchMid = null;
+    this.velocity = [0, 0];     // rad/s, smoothed over the drag
+    this.lastMoveTime = 0;
+    this.pendingTap = null;     // timeout id of a touch tap waiting out DOUBLE_TAP_MS
+    this.lastClick = -Infinity; // time of the last mouse/pen click, for double-click
+
+    canvas.addEventListener('pointerdown', (e) => this._onDown(e));
+    canvas.addEventListener('pointermove', (e) => this._onMove(e));
+    canvas.addEventListener('pointerup', (e) => this._onUp(e));
+    canvas.addEventListener('pointercancel', (e) => this._onUp(e, true));
+    canvas.addEventListener('wheel', (e) => this._onWheel(e), { passive: false });
+  }
+
+  _onDown(e) {
+    // Only the primary mouse button orbits or taps; right/middle are left alone
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    this.canvas.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 1) {
+      this.dragged = false;
+      this.pressStart = performance.now();
+      this.pressX = e.clientX;
+      this.pressY = e.clientY;
+      this.velocity = [0, 0];
+      this.lastMoveTime = this.pressStart;
+    } else if (this.pointers.size === 2) {
+      // Second finger: this gesture is a pinch/pan, never a tap
+      this.dragged = true;
+      this._startPinch();
+    }
+  }
+
+  _onMove(e) {
+    const p = this.pointers.get(e.pointerId);
+    if (!p) return;
+    const dx = e.clientX - p.x;
+    const dy = e.clientY - p.y;
+    p.x = e.clientX;
+    p.y = e.clientY;
+
+    if (this.pointers.size >= 2) {
+      this._movePinch();
+      return;
+    }
+
+    if (!this.dragged) {
+      if (Math.hypot(e.clientX - this.pressX, e.clientY - this.pressY) < TAP_SLOP) return;
+      this.dragged = true;
+    }
+
+    const h = this.canvas.clientHeight || window.innerHeight;
+    const dTheta = -dx / h * ORBIT_SPEED;
+    const dPhi = dy / h * ORBIT_SPEED;
+    this.camera.orbit(dTheta, dPhi);
+
+    // Exponentially smoothed angular velocity for the release fling
+    const now = performance.now();
+    const dt = Math.max((now - this.lastMoveTime) / 1000, 1 / 240);
+    this.lastMoveTime = now;
+    this.velocity[0] = this.velocity[0] * 0.5 + (dTheta / dt) * 0.5;
+    this.velocity[1] = this.velocity[1] * 0.5 + (dPhi / dt) * 0.5;
+  }
+
+  _onUp(e, cancelled = false) {
+    if (!this.pointers.delete(e.pointerId)) return;
+
+    if (this.pointers.size === 1) {
+      // Pinch ended with one finger still down: let it keep orbiting without a jump
+      this.velocity = [0, 0];
+      this.lastMoveTime = performance.now();
+      return;
+    }
+    if (this.pointers.size > 0) {
+      this._startPinch();
+      return;
+    }
+
+    if (cancelled) return;
+
+    if (this.dragged) {
+      // A pause before lifting means the user wanted it to stay put
+      const idle = performance.now() - this.lastMoveTime;
+      const [vt, vp] = idle < 80 ? this.velocity : [0, 0];
+      if (Math.hypot(vt, vp) > FLING_MIN) this.camera.fling(vt, vp);
+      return;
+    }
+
+    if (performance.now() - this.pressStart > TAP_MAX_MS) return;
+    this._tap(e.pointerType);
+  }
+
+  _tap(pointerType) {
+    if (pointerType !== 'touch') {
+      // Clicks can't wait out the double-click window without feeling laggy
+      const now = performance.now();
+      if (now - this.lastClick < DOUBLE_TAP_MS) {
+        this.lastClick = -Infinity;
+        this.camera.resetView();
+        this.onReset();
+      } else {
+        this.lastClick = now;
+        this.onTap();
+      }
+      return;
+    }
+    if (this.pendingTap !== null) {
+      // Second tap in time: reset, and drop the first tap's toggle
+      clearTimeout(this.pendingTap);
+      this.pendingTap = null;
+      this.camera.resetView();
+      this.onReset();
+      return;
+    }
+    this.pendingTap = setTimeout(() => {
+      this.pendingTap = null;
+      this.onTap();
+    }, DOUBLE_TAP_MS);
+  }
+
+  _onWheel(e) {
+    e.preventDefault();
+    // Line/page modes report much smaller deltas than pixel mode
+    const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? window.innerHeight : 1;
+    this.camera.zoomBy(Math.exp(e.deltaY * scale * WHEEL_ZOOM));
+  }
+
+  _pinchState() {
+    const [a, b] = [...this.pointers.values()];
+    return {
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+      mid: [(a.x + b.x) / 2, (a.y + b.y) / 2],
+    };
+  }
+
+  _startPinch() {
+    const { distance, mid } = this._pinchState();
+    this.pinchDistance = distance;
+    this.pinchMid = mid;
+  }
+
+  _movePinch() {
+    const { distance, mid } = this._pinchState();
+    if (this.pinchDistance > 0 && distance > 0) {
+      // Fingers apart = zoom in
+      this.camera.zoomBy(this.pinchDistance / distance);
+    }
+    const h = this.canvas.clientHeight || window.innerHeight;
+    this.camera.pan((mid[0] - this.pinchMid[0]) / h, -(mid[1] - this.pinchMid[1]) / h);
+    this.pinchDistance = distance;
+    this.pinchMid = mid;
+  }
+}
\ No newline at end of file
@@ -1,17 +1,29 @@
 /**
  * Orbital camera with slow drift + mouse parallax.
+ * User input (see camera-controls.js) orbits, zooms and pans it; a reset
+ * eases back to the default pose and resumes the drift.
  * Outputs eye position + view matrix.
  */
 
 import { mat4LookAt } from './math-utils.js';
 
+const DEFAULT_PHI = 0.3;
+const MAX_PHI = 1.4;         // stay short of the poles (lookAt flips there)
+const MIN_ZOOM = 0.4;        // closest: 40% of the fitted radius
+const MAX_ZOOM = 2.5;
+const MAX_PAN = 3.0;         // keep the lattice on screen
+const INERTIA_DECAY = 4.0;   // 1/s, exponential fling falloff
+const RESET_RATE = 3.0;      // 1/s, easing back to the default pose
+const DRIFT_SPEED = 0.02;    // rad/s
+const REDUCED_DRIFT_SPEED = 0.005;
+
 export class Camera {
   constructor() {
     this.baseRadius = 8.0;
     this.radius = 8.0;
     this.theta = 0;           // horizontal angle
-    this.phi = 0.3;           // vertical angle (slight elevation)
-    this.driftSpeed = 0.02;   // rad/s orbital drift
+    this.phi = DEFAULT_PHI;   // vertical angle (slight elevation)
+    this.driftSpeed = DRIFT_SPEED; // rad/s orbital drift
     this.center = [0, 0, 0];
     this.up = [0, 1, 0];
 
@@ -20,6 +32,13 @@ export class Camera {
     this.mouseY = 0;
     this.maxParallax = 0.08;  // ~5 degrees max deflection in radians
 
+    // Interactive state: once the user takes over, drift + parallax stop
+    this.userControlled = false;
+    this.zoom = 1.0;          // multiplies radius
+    this.reducedMotion = false;
+    this.thetaVelocity = 0;   // rad/s inertia after a drag
+    this.phiVelocity = 0;
+
     this.eye = [0, 0, this.radius];
     this.viewMatrix = new Float32Array(16);
 
@@ -37,25 +56,129 @@ export class Camera {
       : this.baseRadius;
   }
 
+  /** prefers-reduced-motion: slower drift, no parallax, flings die quickly. */
+  setReducedMotion(on) {
+    this.reducedMotion = on;
+    this.driftSpeed = on ? REDUCED_DRIFT_SPEED : DRIFT_SPEED;
+    this.maxParallax = on ? 0 : 0.08;
+  }
+
   onMouseMove(nx, ny) {
     this.mouseX = nx;  // -1..1
     this.mouseY = ny;
   }
 
-  update(dt) {
-    this.theta += this.driftSpeed * dt;
+  /** Rotate by the given angles (rad). Cancels any fling in progress. */
+  orbit(dTheta, dPhi) {
+    this._takeControl();
+    this.thetaVelocity = 0;
+    this.phiVelocity = 0;
+    this.theta += dTheta;
+    this.phi = clamp(this.phi + dPhi, -MAX_PHI, MAX_PHI);
+  }
 
-    // Mouse parallax offsets
-    const thetaOffset = this.mouseX * this.maxParallax;
-    const phiOffset = this.mouseY * this.maxParallax;
+  /** Keep spinning after release; velocities in rad/s decay exponentially. */
+  fling(thetaVelocity, phiVelocity) {
+    this._takeControl();
+    this.thetaVelocity = thetaVelocity;
+    this.phiVelocity = phiVelocity;
+  }
+
+  /** Multiply the distance (factor > 1 zooms out), within limits. */
+  zoomBy(factor) {
+    this._takeControl();
+    this.zoom = clamp(this.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+  }
+
+  /**
+   * Slide the look-at point in the view plane.
+   * @param {number} dx - fraction of the viewport height, +right
+   * @param {number} dy - fraction of the viewport height, +up
+   */
+  pan(dx, dy) {
+    this._takeControl();
+    // Scale by distance so the scene tracks the fingers at any zoom
+    const s = this.radius * this.zoom * 0.8;
+    const st = Math.sin(this.theta), ct = Math.cos(this.theta);
+    const sp = Math.sin(this.phi), cp = Math.cos(this.phi);
+    const right = [ct, 0, -st];
+    const up = [-sp * st, cp, -sp * ct];
+    for (let i = 0; i < 3; i++) {
+      this.center[i] = clamp(this.center[i] - (right[i] * dx + up[i] * dy) * s, -MAX_PAN, MAX_PAN);
+    }
+  }
+
+  /** @returns {{ theta: number, phi: number, zoom: number, center: number[] }} */
+  getPose() {
+    return { theta: this.theta, phi: this.phi, zoom: this.zoom, center: [...this.center] };
+  }
+
+  /** Jump to a saved pose (e.g. from a permalink) and hold it — no drift. */
+  setPose({ theta, phi, zoom, center }) {
+    this.userControlled = true;
+    this.thetaVelocity = 0;
+    this.phiVelocity = 0;
+    this.theta = theta;
+    this.phi = clamp(phi, -MAX_PHI, MAX_PHI);
+    this.zoom = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+    for (let i = 0; i < 3; i++) this.center[i] = clamp(center[i], -MAX_PAN, MAX_PAN);
+  }
+
+  /** Ease back to the default pose and resume the auto-drift. */
+  resetView() {
+    if (this.userControlled) this.theta -= this.mouseX * this.maxParallax; // no jump when parallax resumes
+    this.userControlled = false;
+    this.thetaVelocity = 0;
+    this.phiVelocity = 0;
+  }
+
+  _takeControl() {
+    if (this.userControlled) return;
+    // Fold the parallax offset in so the view doesn't jump when it switches off
+    this.theta += this.mouseX * this.maxParallax;
+    this.phi += this.mouseY * this.maxParallax;
+    this.userControlled = true;
+  }
+
+  /**
+   * @param {number} dt - simulation seconds (drives the auto-drift; 0 while paused)
+   * @param {number} wallDt - real seconds (drives inertia and easing, so the
+   *   camera stays responsive while the simulation is paused or slowed)
+   */
+  update(dt, wallDt = dt) {
+    if (this.userControlled) {
+      // Inertia
+      this.theta += this.thetaVelocity * wallDt;
+      this.phi = clamp(this.phi + this.phiVelocity * wallDt, -MAX_PHI, MAX_PHI);
+      const decay = Math.exp(-INERTIA_DECAY * (this.reducedMotion ? 4 : 1) * wallDt);
+      this.thetaVelocity *= decay;
+      this.phiVelocity *= decay;
+    } else {
+      this.theta += this.driftSpeed * dt;
+      // Ease any leftover zoom / pan / elevation back to the defaults
+      const k = 1 - Math.exp(-RESET_RATE * wallDt);
+      this.zoom += (1 - this.zoom) * k;
+      this.phi += (DEFAULT_PHI - this.phi) * k;
+      for (let i = 0; i < 3; i++) this.center[i] -= this.center[i] * k;
+    }
+
+    // Mouse parallax offsets (only while drifting — it would fight a drag)
+    const parallax = this.userControlled ? 0 : this.maxParallax;
+    const thetaOffset = this.mouseX * parallax;
+    const phiOffset = this.mouseY * parallax;
 
     const t = this.theta + thetaOffset;
     const p = this.phi + phiOffset;
+    const r = this.radius * this.zoom;
 
-    this.eye[0] = this.radius * Math.sin(t) * Math.cos(p);
-    this.eye[1] = this.radius * Math.sin(p);
-    this.eye[2] = this.radius * Math.cos(t) * Math.cos(p);
+    this.eye[0] = this.center[0] + r * Math.sin(t) * Math.cos(p);
+    this.eye[1] = this.center[1] + r * Math.sin(p);
+    this.eye[2] = this.center[2] + r * Math.cos(t) * Math.cos(p);
 
     this.viewMatrix = mat4LookAt(this.eye, this.center, this.up);
   }
+}
+
+function clamp(v, lo, hi) {
+  return Math.min(Math.max(v, lo), hi);
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Canvas capture: PNG snapshots and WebM clips for slides.
+ *
+ * Every captured frame is composited onto a 2D canvas right after the
+ * renderer draws (the WebGPU/WebGL drawing buffer is only readable in the
+ * same task), optionally with the entropy readout and state label burned
+ * in. The 2D canvas feeds both toBlob (PNG) and captureStream (WebM).
+ *
+ * While a capture is active main.js sizes the render canvas to
+ * outputSize, bypassing the DPR clamp in resize().
+ */
+
+import { downloadBlob, fileStamp } from './download.js';
+
+export const CAPTURE_SIZES = {
+  screen: { label: 'Screen', size: null },
+  '720p': { label: '1280×720', size: [1280, 720] },
+  '1080p': { label: '1920×1080', size: [1920, 1080] },
+  '1440p': { label: '2560×1440', size: [2560, 1440] },
+  '4k': { label: '3840×2160', size: [3840, 2160] },
+};
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_BITRATE = 16_000_000;
+
+export class CanvasCapture {
+  /** @param {HTMLCanvasElement} source - the render canvas */
+  constructor(source) {
+    this.source = source;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.sizeKey = 'screen';
+    this.burnIn = true;
+    this.recorder = null;
+    this.chunks = [];
+    this.snapshotPending = false;
+  }
+
+  get recording() {
+    return this.recorder !== null;
+  }
+
+  /** True while the render canvas should be held at outputSize. */
+  get active() {
+    return this.recording || this.snapshotPending;
+  }
+
+  /** [w, h] for a fixed resolution, or null to follow the window. */
+  get outputSize() {
+    return CAPTURE_SIZES[this.sizeKey].size;
+  }
+
+  static get videoSupported() {
+    return typeof MediaRecorder !== 'undefined' && VIDEO_TYPES.some(t => MediaRecorder.isTypeSupported(t));
+  }
+
+  /** Take a PNG of the next rendered frame. */
+  snapshot() {
+    this.snapshotPending = true;
+  }
+
+  startRecording() {
+    if (this.recording) return;
+    const mimeType = VIDEO_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    const stream = this.canvas.captureStream(60);
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITRATE });
+    this.recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    });
+    this.recorder.addEventListener('stop', () => {
+      downloadBlob(new Blob(this.chunks, { type: 'video/webm' }), `entropy-${fileStamp()}.webm`);
+      this.chunks = [];
+    });
+    this.recorder.start(1000); // flush every second so long clips don't sit in one buffer
+  }
+
+  stopRecording() {
+    if (!this.recording) return;
+    const recorder = this.recorder;
+    this.recorder = null;
+    recorder.stop();
+    recorder.stream.getTracks().forEach(t => t.stop());
+  }
+
+  /**
+   * Call right after the renderer has drawn a frame.
+   * @param {{ entropy: number, unit: string, label: string, state: string }} overlay
+   */
+  captureFrame(overlay) {
+    if (!this.active) return;
+    const { width, height } = this.source;
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.ctx.drawImage(this.source, 0, 0);
+    if (this.burnIn) this._drawOverlay(overlay);
+
+    if (this.snapshotPending) {
+      this.snapshotPending = false;
+      this.canvas.toBlob((blob) => {
+        if (blob) downloadBlob(blob, `entropy-${fileStamp()}.png`);
+      }, 'image/png');
+    }
+  }
+
+  _drawOverlay({ entropy, unit, label, state }) {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    const s = height / 720; // layout is designed at 720p and scaled
+    const pad = 28 * s;
+
+    ctx.save();
+    ctx.textBaseline = 'alphabetic';
+
+    // Entropy readout, bottom left (mirrors #entropy-panel)
+    ctx.fillStyle = 'rgba(245, 240, 235, 0.55)';
+    ctx.font = `500 ${11 * s}px 'DM Sans', system-ui, sans-serif`;
+    ctx.fillText(label.toUpperCase(), pad, height - pad - 48 * s);
+    ctx.fillStyle = '#f5f0eb';
+    ctx.font = `700 ${42 * s}px 'JetBrains Mono', monospace`;
+    const value = entropy.toFixed(4);
+    ctx.fillText(value, pad, height - pad);
+    const valueWidth = ctx.measureText(value).width;
+    ctx.fillStyle = '#6a6560';
+    ctx.font = `400 ${14 * s}px 'DM Sans', system-ui, sans-serif`;
+    ctx.fillText(unit, pad + valueWidth + 6 * s, height - pad);
+
+    // State label, top center
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(245, 240, 235, 0.8)';
+    ctx.font = `500 ${13 * s}px 'DM Sans', system-ui, sans-serif`;
+    ctx.fillText(state.split('').join(' '), width / 2, pad + 13 * s);
+    ctx.restore();
+  }
+}
\ No newline at end of file
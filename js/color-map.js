@@ -1,26 +1,99 @@
 /**
- * Generate a blackbody-inspired color ramp for the density field.
- * Maps speed/temperature to: deep blue -> teal -> amber -> white-hot
- * Returns a 256x1 RGBA8 Uint8Array for a 1D texture.
+ * Color palettes for the density field and particle sprites.
+ * Each palette is a list of control points [position, r, g, b] (all 0..1);
+ * generateColorLUT samples one into a 256x1 RGBA8 Uint8Array for a 1D texture.
  */
 
-export function generateColorLUT(size = 256) {
-  const data = new Uint8Array(size * 4);
+/** Evenly spaced stops from a list of #rrggbb colors. */
+function evenStops(hexes) {
+  return hexes.map((hex, i) => [i / (hexes.length - 1), ...hexToRgb(hex)]);
+}
+
+export const PALETTES = {
+  // Maps speed/temperature to: deep blue -> teal -> amber -> white-hot
+  blackbody: {
+    label: 'Blackbody',
+    smooth: true, // smoothstep between stops
+    stops: [
+      [0.00, 0.02, 0.04, 0.12],   // near-black blue
+      [0.15, 0.05, 0.15, 0.35],   // deep blue-teal
+      [0.30, 0.08, 0.72, 0.65],   // teal (#14b8a6 range)
+      [0.50, 0.20, 0.85, 0.75],   // bright teal
+      [0.65, 0.85, 0.60, 0.20],   // amber transition
+      [0.80, 0.98, 0.45, 0.09],   // orange (#f97316 range)
+      [0.92, 1.00, 0.80, 0.50],   // warm white
+      [1.00, 1.00, 0.96, 0.90],   // white-hot
+    ],
+  },
+  // Matplotlib's perceptually uniform maps, 10 samples each
+  viridis: {
+    label: 'Viridis',
+    stops: evenStops(['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+      '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']),
+  },
+  magma: {
+    label: 'Magma',
+    stops: evenStops(['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+      '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf']),
+  },
+  inferno: {
+    label: 'Inferno',
+    stops: evenStops(['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+      '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4']),
+  },
+  cividis: {
+    label: 'Cividis (CVD-safe)',
+    stops: evenStops(['#00224e', '#123570', '#3b496c', '#575d6d', '#707173',
+      '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838']),
+  },
+  grayscale: {
+    label: 'Grayscale',
+    stops: [[0, 0, 0, 0], [1, 1, 1, 1]],
+  },
+};
+
+export const DEFAULT_PALETTE = 'blackbody';
+
+/**
+ * What indexes the palette in the volume. Opacity always follows density;
+ * temperature is the local density-weighted mean kT = <v²>/3.
+ */
+export const VOLUME_MODES = {
+  density:     { label: 'Density', id: 0 },
+  temperature: { label: 'Temperature', id: 1 },
+  product:     { label: 'Density × temperature', id: 2 },
+};
+
+export const DEFAULT_VOLUME_MODE = 'density';
 
-  // Control points: [position, r, g, b]
-  const stops = [
-    [0.00, 0.02, 0.04, 0.12],   // near-black blue
-    [0.15, 0.05, 0.15, 0.35],   // deep blue-teal
-    [0.30, 0.08, 0.72, 0.65],   // teal (#14b8a6 range)
-    [0.50, 0.20, 0.85, 0.75],   // bright teal
-    [0.65, 0.85, 0.60, 0.20],   // amber transition
-    [0.80, 0.98, 0.45, 0.09],   // orange (#f97316 range)
-    [0.92, 1.00, 0.80, 0.50],   // warm white
-    [1.00, 1.00, 0.96, 0.90],   // white-hot
-  ];
+// kT mapped to the top of the LUT (the thermostat slider's max)
+export const TEMPERATURE_SCALE = 4.0;
+
+export function hexToRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+}
+
+export function rgbToHex(r, g, b) {
+  const byte = (v) => Math.round(Math.min(Math.max(v, 0), 1) * 255).toString(16).padStart(2, '0');
+  return `#${byte(r)}${byte(g)}${byte(b)}`;
+}
+
+/**
+ * Sample a palette into a LUT.
+ * @param {number} size - entries
+ * @param {string | { stops: number[][], smooth?: boolean }} palette - key of
+ *   PALETTES, or a custom ramp (stops sorted by position, first at 0, last at 1)
+ * @returns {Uint8Array} size * 4 RGBA8
+ */
+export function generateColorLUT(size = 256, palette = DEFAULT_PALETTE) {
+  const def = typeof palette === 'string' ? PALETTES[palette] : palette;
+  if (!def) throw new Error(`Unknown palette: ${palette}`);
+  const { stops, smooth = false } = def;
+  const data = new Uint8Array(size * 4);
 
   for (let i = 0; i < size; i++) {
-    const t = i / (size - 1);
+    const t = size > 1 ? i / (size - 1) : 0;
 
     // Find surrounding stops
     let lower = stops[0];
@@ -32,12 +105,15 @@ export function generateColorLUT(size = 256) {
         break;
       }
     }
+    // Outside the ramp: hold the end colors
+    if (t < stops[0][0]) upper = lower;
+    if (t > stops[stops.length - 1][0]) lower = upper;
 
     // Interpolate
     const range = upper[0] - lower[0];
     const f = range > 0 ? (t - lower[0]) / range : 0;
     // Smooth step for nicer gradients
-    const sf = f * f * (3 - 2 * f);
+    const sf = smooth ? f * f * (3 - 2 * f) : f;
 
     const r = lower[1] + (upper[1] - lower[1]) * sf;
     const g = lower[2] + (upper[2] - lower[2]) * sf;
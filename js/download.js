@@ -0,0 +1,18 @@
+/**
+ * Save a Blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** ISO timestamp usable in a filename. */
+export function fileStamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
\ No newline at end of file
@@ -1,11 +1,17 @@
 /**
- * Shannon entropy from a histogram of particle speeds.
+ * Shannon entropy from a histogram of a particle observable (speed by default).
  * H = -sum(p_k * log2(p_k)) for non-zero bins.
  * Normalized to [0, 1] by dividing by log2(numBins).
+ * The speed bin count is configurable (binning.js), so for speed it is
+ * taken from the binning each readback carries.
  */
 
+import { OBSERVABLES, DEFAULT_OBSERVABLE } from './observables.js';
+import { DEFAULT_SPEED_BINS } from './binning.js';
+
 export class EntropyCalculator {
-  constructor(numBins = 64) {
+  constructor(numBins = DEFAULT_SPEED_BINS) {
+    this.observable = DEFAULT_OBSERVABLE;
     this.numBins = numBins;
     this.maxEntropy = Math.log2(numBins);
     this.currentEntropy = 0;
@@ -44,6 +50,57 @@ export class EntropyCalculator {
     return { entropy: H, normalized: this.normalizedEntropy };
   }
 
+  /**
+   * Switch which observable is measured. Bin count (and so the
+   * normalization) follows the observable.
+   * @param {string} key - key of OBSERVABLES
+   */
+  setObservable(key) {
+    const def = OBSERVABLES[key];
+    if (!def) return;
+    this.observable = key;
+    this.numBins = def.bins;
+    this.maxEntropy = Math.log2(def.bins);
+  }
+
+  /**
+   * Compute entropy of the selected observable from a renderer's readback.
+   * @param {{ speed: Uint32Array, direction: Uint32Array, joint: Uint32Array,
+   *           density: { sum: number, sumXLogX: number } | null,
+   *           binning?: import('./binning.js').Binning }} observables
+   * @returns {{ entropy: number, normalized: number } | null} null if the
+   *   selected observable isn't available yet
+   */
+  computeObservables(observables) {
+    if (this.observable === 'position') {
+      if (!observables.density) return null;
+      return this.computeFromMoments(observables.density);
+    }
+    if (this.observable === 'speed' && observables.binning) {
+      this.numBins = observables.binning.bins;
+      this.maxEntropy = Math.log2(this.numBins);
+    }
+    return this.compute(observables[this.observable]);
+  }
+
+  /**
+   * Entropy of a distribution given as unnormalized weights x_k, from
+   * S = sum(x_k) and T = sum(x_k * log2(x_k)): H = log2(S) - T / S.
+   * @param {{ sum: number, sumXLogX: number }} moments
+   * @returns {{ entropy: number, normalized: number }}
+   */
+  computeFromMoments({ sum, sumXLogX }) {
+    if (!(sum > 0)) {
+      this.currentEntropy = 0;
+      this.normalizedEntropy = 0;
+      return { entropy: 0, normalized: 0 };
+    }
+    const H = Math.max(Math.log2(sum) - sumXLogX / sum, 0);
+    this.currentEntropy = H;
+    this.normalizedEntropy = H / this.maxEntropy;
+    return { entropy: H, normalized: this.normalizedEntropy };
+  }
+
   /**
    * Smooth the display value to avoid jitter.
    */
@@ -0,0 +1,144 @@
+/**
+ * Rolling entropy chart — 2D canvas in the overlay.
+ * Keeps a fixed-size ring buffer of (time, normalized entropy) samples and
+ * marks every state-machine change with a labelled vertical line.
+ * Time is simulation time, so the curve shape doesn't depend on frame rate.
+ */
+
+const STATE_COLORS = {
+  ORDERED:      'rgba(245, 240, 235, 0.35)',
+  SHATTERING:   '#f97316',
+  CHAOS:        'rgba(249, 115, 22, 0.55)',
+  REASSEMBLING: '#14b8a6',
+  THERMOSTAT:   'rgba(245, 240, 235, 0.6)',
+};
+
+export const CHART_WINDOWS = [10, 30, 60, 120]; // seconds
+
+export class EntropyChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {number} capacity - max samples kept (oldest are overwritten)
+   */
+  constructor(canvas, capacity = 8192) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.capacity = capacity;
+    this.times = new Float64Array(capacity);
+    this.values = new Float32Array(capacity);
+    this.head = 0;   // next write slot
+    this.count = 0;
+    this.markers = []; // { time, state }
+    this.lastState = null;
+    this.windowSeconds = 30;
+    this.minInterval = 1 / 30; // sample at most 30 Hz
+  }
+
+  /**
+   * Record one sample. State changes become markers.
+   * @param {number} time - simulation time, seconds
+   * @param {number} value - normalized entropy [0, 1]
+   * @param {string} state - StateMachine.state
+   */
+  push(time, value, state) {
+    if (state !== this.lastState) {
+      if (this.lastState !== null) this.markers.push({ time, state });
+      this.lastState = state;
+    }
+
+    if (this.count > 0) {
+      const last = this.times[(this.head - 1 + this.capacity) % this.capacity];
+      if (time - last < this.minInterval) return;
+    }
+
+    this.times[this.head] = time;
+    this.values[this.head] = value;
+    this.head = (this.head + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+
+    // Drop markers that fell out of the buffer
+    const oldest = this.times[(this.head - this.count + this.capacity) % this.capacity];
+    while (this.markers.length && this.markers[0].time < oldest) this.markers.shift();
+  }
+
+  setWindow(seconds) {
+    this.windowSeconds = seconds;
+  }
+
+  /** Forget history (e.g. after the observable changes meaning). */
+  clear() {
+    this.head = 0;
+    this.count = 0;
+    this.markers = [];
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const w = Math.floor(canvas.clientWidth * dpr);
+    const h = Math.floor(canvas.clientHeight * dpr);
+    if (w === 0 || h === 0) return;
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    // Gridlines at 0, 0.5, 1
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+    for (const g of [0, 0.5, 1]) {
+      const y = Math.round((1 - g) * (h - 1)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(w, y);
+      ctx.stroke();
+    }
+
+    if (this.count === 0) return;
+
+    const newest = this.times[(this.head - 1 + this.capacity) % this.capacity];
+    const t0 = newest - this.windowSeconds;
+    const xOf = (t) => ((t - t0) / this.windowSeconds) * w;
+
+    // State-change markers
+    ctx.font = `${9 * dpr}px 'JetBrains Mono', monospace`;
+    ctx.textBaseline = 'top';
+    for (const m of this.markers) {
+      if (m.time < t0) continue;
+      const x = Math.round(xOf(m.time)) + 0.5;
+      ctx.strokeStyle = STATE_COLORS[m.state] || 'rgba(255, 255, 255, 0.3)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, h);
+      ctx.stroke();
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillText(m.state, x + 3 * dpr, 2 * dpr);
+    }
+
+    // Entropy curve
+    const gradient = ctx.createLinearGradient(0, h, 0, 0);
+    gradient.addColorStop(0, '#14b8a6');
+    gradient.addColorStop(1, '#f97316');
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.beginPath();
+    let started = false;
+    for (let i = 0; i < this.count; i++) {
+      const idx = (this.head - this.count + i + this.capacity) % this.capacity;
+      const t = this.times[idx];
+      if (t < t0) continue;
+      const x = xOf(t);
+      const y = (1 - this.values[idx]) * (h - 2 * dpr) + dpr;
+      if (started) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        started = true;
+      }
+    }
+    ctx.stroke();
+  }
+}
\ No newline at end of file
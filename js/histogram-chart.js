@@ -0,0 +1,84 @@
+/**
+ * Live speed histogram — 2D bar chart in the overlay, drawn from the same
+ * bins the entropy is measured from. One equal-width bar per bin, so the
+ * axis is linear in speed or, with logarithmic binning, in log speed. The
+ * top bin also collects every speed past the range (the histogram passes
+ * clamp into it), so it is highlighted whenever it holds anything: a tall
+ * last bar means the range, not the gas, is cutting off.
+ */
+
+const BAR_COLOR = 'rgba(20, 184, 166, 0.75)';
+const CLIP_COLOR = '#f97316';
+
+export class HistogramChart {
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.logScale = false; // log count axis
+  }
+
+  setLogScale(on) {
+    this.logScale = on;
+  }
+
+  /**
+   * @param {ArrayLike<number> | null} counts - one count per bin
+   * @param {import('./binning.js').Binning | null} binning - the bins counts was taken with
+   */
+  draw(counts, binning) {
+    const canvas = this.canvas;
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const w = Math.floor(canvas.clientWidth * dpr);
+    const h = Math.floor(canvas.clientHeight * dpr);
+    if (w === 0 || h === 0) return;
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+
+    if (!counts || !binning) return;
+
+    const bins = binning.bins;
+    const label = 11 * dpr; // bottom strip for the axis labels
+    const plotH = h - label;
+    const barW = w / bins;
+
+    // Speed range along the bottom
+    ctx.font = `${9 * dpr}px 'JetBrains Mono', monospace`;
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = 'rgba(245, 240, 235, 0.45)';
+    ctx.textAlign = 'left';
+    ctx.fillText(binning.log ? 'log |v| 0' : '|v| 0', 0, h);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${binning.maxSpeed.toFixed(1)}+`, w, h);
+
+    let max = 0;
+    for (let k = 0; k < bins; k++) max = Math.max(max, counts[k]);
+    if (max === 0) return;
+    const scale = this.logScale
+      ? (c) => Math.log1p(c) / Math.log1p(max)
+      : (c) => c / max;
+
+    ctx.fillStyle = BAR_COLOR;
+    for (let k = 0; k < bins - 1; k++) {
+      if (counts[k] === 0) continue;
+      const bh = Math.max(scale(counts[k]) * plotH, dpr);
+      ctx.fillRect(k * barW, plotH - bh, Math.max(barW - dpr * 0.5, dpr), bh);
+    }
+
+    // Top bin: in range up to its edge, plus everything clamped into it
+    const top = counts[bins - 1];
+    if (top > 0) {
+      const bh = Math.max(scale(top) * plotH, dpr);
+      ctx.fillStyle = CLIP_COLOR;
+      ctx.fillRect((bins - 1) * barW, plotH - bh, barW, bh);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`clip ${top}`, w - 2 * dpr, 0);
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Keyboard shortcuts for the scene:
+ *   Space      shatter / reassemble
+ *   Arrows     orbit the camera
+ *   + / -      zoom
+ *   0 / Home   reset the view (back to auto-drift)
+ *   P          pause / resume
+ *   .          step one frame (pauses)
+ *   Escape     leave a form control and return focus to the canvas
+ *
+ * Keys typed into inputs, selects and buttons are left alone.
+ */
+
+const ORBIT_STEP = 0.1;  // rad per key press (auto-repeat keeps it going)
+const ZOOM_STEP = 1.1;
+
+export class KeyboardControls {
+  /**
+   * @param {HTMLElement} canvas - focus target
+   * @param {import('./camera.js').Camera} camera
+   * @param {{ onToggle?: () => void, onPause?: () => void, onStep?: () => void,
+   *           onReset?: () => void }} handlers
+   */
+  constructor(canvas, camera, {
+    onToggle = () => {}, onPause = () => {}, onStep = () => {}, onReset = () => {},
+  } = {}) {
+    this.canvas = canvas;
+    this.camera = camera;
+    this.onToggle = onToggle;
+    this.onPause = onPause;
+    this.onStep = onStep;
+    this.onReset = onReset;
+
+    window.addEventListener('keydown', (e) => this._onKey(e));
+  }
+
+  _onKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (isFormControl(e.target)) {
+      if (e.key === 'Escape') {
+        e.target.blur();
+        this.canvas.focus({ preventScroll: true });
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case ' ':
+        if (!e.repeat) this.onToggle();
+        break;
+      case 'ArrowLeft':  this.camera.orbit(ORBIT_STEP, 0); break;
+      case 'ArrowRight': this.camera.orbit(-ORBIT_STEP, 0); break;
+      case 'ArrowUp':    this.camera.orbit(0, ORBIT_STEP); break;
+      case 'ArrowDown':  this.camera.orbit(0, -ORBIT_STEP); break;
+      case '+':
+      case '=':
+        this.camera.zoomBy(1 / ZOOM_STEP);
+        break;
+      case '-':
+      case '_':
+        this.camera.zoomBy(ZOOM_STEP);
+        break;
+      case '0':
+      case 'Home':
+        this.camera.resetView();
+        this.onReset();
+        break;
+      case 'p':
+      case 'P':
+        if (!e.repeat) this.onPause();
+        break;
+      case '.':
+        this.onStep(); // auto-repeat steps frame by frame
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+}
+
+const FORM_TAGS = ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'SUMMARY'];
+
+function isFormControl(el) {
+  if (!el || !el.tagName) return false;
+  return el.isContentEditable || FORM_TAGS.includes(el.tagName);
+}
\ No newline at end of file
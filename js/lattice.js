@@ -0,0 +1,89 @@
+/**
+ * Crystal lattice generator — home positions for every particle.
+ * Each lattice is a conventional unit cell (edge lengths in units of a)
+ * plus a fractional basis. Cells tile a box of roughly `extent` per side,
+ * centered on the origin; sites fill in z, y, x order and stop at the
+ * requested count, so a partially filled top layer is expected.
+ */
+
+const SQRT3 = Math.sqrt(3);
+const HCP_C = Math.sqrt(8 / 3); // ideal c/a ratio
+
+const FCC_BASIS = [
+  [0.0, 0.0, 0.0], [0.5, 0.5, 0.0], [0.5, 0.0, 0.5], [0.0, 0.5, 0.5],
+];
+
+export const LATTICES = {
+  sc: {
+    label: 'Simple cubic',
+    cell: [1, 1, 1],
+    basis: [[0, 0, 0]],
+    nearestNeighbor: 1,
+  },
+  bcc: {
+    label: 'BCC',
+    cell: [1, 1, 1],
+    basis: [[0, 0, 0], [0.5, 0.5, 0.5]],
+    nearestNeighbor: SQRT3 / 2,
+  },
+  fcc: {
+    label: 'FCC',
+    cell: [1, 1, 1],
+    basis: FCC_BASIS,
+    nearestNeighbor: Math.SQRT1_2,
+  },
+  hcp: {
+    label: 'HCP',
+    // Orthorhombic cell (a, √3·a, c) holding two A-layer and two B-layer atoms
+    cell: [1, SQRT3, HCP_C],
+    basis: [[0, 0, 0], [0.5, 0.5, 0], [0.5, 1 / 6, 0.5], [0, 2 / 3, 0.5]],
+    nearestNeighbor: 1,
+  },
+  diamond: {
+    label: 'Diamond',
+    cell: [1, 1, 1],
+    basis: [...FCC_BASIS, ...FCC_BASIS.map(([x, y, z]) => [x + 0.25, y + 0.25, z + 0.25])],
+    nearestNeighbor: SQRT3 / 4,
+  },
+};
+
+export const DEFAULT_LATTICE = 'bcc';
+
+/**
+ * Generate home positions for a lattice.
+ * @param {string} type - key of LATTICES
+ * @param {number} count - number of sites to emit
+ * @param {number} extent - edge length of the bounding box (world units)
+ * @returns {{ positions: Float32Array, nearestNeighbor: number }}
+ *   positions is xyz-packed (count * 3); nearestNeighbor is in world units
+ */
+export function generateLattice(type, count, extent = 5.0) {
+  const lattice = LATTICES[type];
+  if (!lattice) throw new Error(`Unknown lattice: ${type}`);
+
+  const { cell, basis } = lattice;
+  const cellsNeeded = Math.ceil(count / basis.length);
+  const edge = Math.cbrt(cellsNeeded * cell[0] * cell[1] * cell[2]);
+  const n = cell.map(a => Math.max(1, Math.ceil(edge / a)));
+  const size = n.map((ni, i) => ni * cell[i]);
+  const spacing = extent / Math.max(...size);
+
+  const positions = new Float32Array(count * 3);
+  let idx = 0;
+
+  for (let z = 0; z < n[2] && idx < count; z++) {
+    for (let y = 0; y < n[1] && idx < count; y++) {
+      for (let x = 0; x < n[0] && idx < count; x++) {
+        for (let b = 0; b < basis.length && idx < count; b++) {
+          const [bx, by, bz] = basis[b];
+          positions[idx * 3 + 0] = ((x + bx + 0.5) * cell[0] - size[0] / 2) * spacing;
+          positions[idx * 3 + 1] = ((y + by + 0.5) * cell[1] - size[1] / 2) * spacing;
+          positions[idx * 3 + 2] = ((z + bz + 0.5) * cell[2] - size[2] / 2) * spacing;
+          idx++;
+        }
+      }
+    }
+  }
+
+  return { positions, nearestNeighbor: lattice.nearestNeighbor * spacing };
+}
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * Time reversal (Loschmidt echo).
+ *
+ * While recording, every frame pushes an entry { dt, tOrder, steps, data } into a
+ * ring buffer; data is a copy of the renderer's particle array (GPU
+ * readback or the CPU array), filled in asynchronously and possibly null
+ * if a readback was skipped. Two ways back:
+ *
+ *  - replay:  write the recorded states back newest → oldest and only
+ *             measure/draw them — an exact rewind.
+ *  - reverse: negate every velocity (optionally nudge positions by a tiny
+ *             ε first) and integrate forward again with the recorded steps and
+ *             t_order in reverse, with noise, damping and the speed cap off. In
+ *             exact arithmetic this retraces the trajectory; the echo error
+ *             (RMS distance to the recorded state) shows how fast float
+ *             round-off or the perturbation destroys the return.
+ *
+ * The physics is only reversible without noise, damping and the speed cap,
+ * so a clean echo needs the forward run recorded with Noise 0, both
+ * dampings at 1 and the cap off. Velocity Verlet, being time-symmetric,
+ * retraces far better than the Euler variants.
+ */
+
+import { pcg, randNormal } from './random.js';
+
+const DEFAULT_BUDGET = 256 * 1024 * 1024; // bytes of snapshots to keep
+
+/**
+ * Frames that fit in a memory budget.
+ * @param {number} bytesPerSnapshot
+ * @returns {number}
+ */
+export function snapshotCapacity(bytesPerSnapshot, budget = DEFAULT_BUDGET) {
+  return Math.max(2, Math.floor(budget / Math.max(bytesPerSnapshot, 1)));
+}
+
+export class SnapshotRing {
+  /** @param {number} capacity - entries kept; older ones are overwritten */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /** @returns {object} the stored entry (fill in entry.data later if async) */
+  push(entry) {
+    const i = (this.start + this.size) % this.capacity;
+    this.entries[i] = entry;
+    if (this.size < this.capacity) this.size++;
+    else this.start = (this.start + 1) % this.capacity;
+    return entry;
+  }
+
+  /** @param {number} i - 0 = oldest */
+  at(i) {
+    return this.entries[(this.start + i) % this.capacity];
+  }
+
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+}
+
+/**
+ * @typedef {{ stride: number, position: number, velocity: number }} ParticleLayout
+ *   float offsets within one particle
+ */
+
+/** Negate every velocity in place. */
+export function reverseVelocities(data, layout, count) {
+  for (let i = 0; i < count; i++) {
+    const v = i * layout.stride + layout.velocity;
+    data[v] = -data[v];
+    data[v + 1] = -data[v + 1];
+    data[v + 2] = -data[v + 2];
+  }
+}
+
+/**
+ * Displace every position by a seeded Gaussian of standard deviation
+ * epsilon (reproducible for a given seed).
+ */
+export function perturbPositions(data, layout, count, epsilon, seed) {
+  for (let i = 0; i < count; i++) {
+    const p = i * layout.stride + layout.position;
+    for (let a = 0; a < 3; a++) {
+      const s = pcg((seed + i * 6 + a * 2) >>> 0);
+      data[p + a] += epsilon * randNormal(s, (s + 1) >>> 0);
+    }
+  }
+}
+
+/** Root-mean-square distance between the positions of two states. */
+export function rmsDistance(a, b, layout, count) {
+  if (count === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    const p = i * layout.stride + layout.position;
+    for (let k = 0; k < 3; k++) {
+      const d = a[p + k] - b[p + k];
+      sum += d * d;
+    }
+  }
+  return Math.sqrt(sum / count);
+}
+
+export const ECHO_MODES = {
+  replay: { label: 'Replay snapshots' },
+  reverse: { label: 'Reverse velocities' },
+};
+
+// Parameters that make the dynamics (approximately) reversible
+const REVERSIBLE_PARAMS = {
+  noiseStrength: 0, dampingOrdered: 1, dampingChaos: 1, thermostat: 0, speedCap: 0,
+};
+const ERROR_INTERVAL = 10; // frames between echo-error readbacks
+
+/**
+ * Drives recording and playback against either renderer (both expose
+ * readParticles / writeParticles / particleLayout and frame(..., { physics })).
+ */
+export class LoschmidtEcho {
+  /**
+   * @param {object} renderer
+   * @param {import('./sim-params.js').SimParams} params
+   */
+  constructor(renderer, params) {
+    this.renderer = renderer;
+    this.params = params;
+    this.ring = null;
+    this.count = 0;
+    this.recording = false;
+    this.mode = null;       // null | 'replay' | 'reverse'
+    this.cursor = 0;
+    this.frames = 0;
+    this.error = null;      // latest RMS distance to the recorded path (reverse mode)
+    this.savedParams = null;
+  }
+
+  get active() {
+    return this.mode !== null;
+  }
+
+  /** Recorded frames available to play back. */
+  get recorded() {
+    return this.ring ? this.ring.size : 0;
+  }
+
+  startRecording() {
+    const layout = this.renderer.particleLayout;
+    this.count = this.renderer.particleCount;
+    this.ring = new SnapshotRing(snapshotCapacity(this.count * layout.stride * 4));
+    this.recording = true;
+  }
+
+  stopRecording() {
+    this.recording = false;
+  }
+
+  /**
+   * Call after every normal simulation frame.
+   * @param {number} steps - physics steps the frame ran (renderer.frame's result)
+   */
+  record(dt, tOrder, steps) {
+    if (!this.recording) return;
+    // Snapshots of a different particle count can't be written back
+    if (this.renderer.particleCount !== this.count) this.startRecording();
+    const entry = this.ring.push({ dt, tOrder, steps, data: null });
+    this.renderer.readParticles().then((data) => { entry.data = data; });
+  }
+
+  /**
+   * Begin playing back the recording.
+   * @param {'replay' | 'reverse'} mode
+   * @param {{ epsilon?: number, seed?: number }} options - reverse only:
+   *   position perturbation applied at the turning point
+   */
+  async start(mode, { epsilon = 0, seed = 1 } = {}) {
+    if (this.recorded < 2) throw new Error('Nothing recorded yet');
+    if (this.renderer.particleCount !== this.count) throw new Error('Particle count changed since recording');
+    this.recording = false;
+
+    if (mode === 'reverse') {
+      const layout = this.renderer.particleLayout;
+      const data = await this.renderer.readParticles();
+      if (!data) throw new Error('Particle readback busy, try again');
+      reverseVelocities(data, layout, this.count);
+      if (epsilon > 0) perturbPositions(data, layout, this.count, epsilon, seed);
+      this.renderer.writeParticles(data);
+
+      this.savedParams = {};
+      for (const [key, value] of Object.entries(REVERSIBLE_PARAMS)) {
+        this.savedParams[key] = this.params[key];
+        this.params.set(key, value);
+      }
+    }
+
+    this.mode = mode;
+    this.cursor = this.ring.size - 1;
+    this.frames = 0;
+    this.error = null;
+  }
+
+  /**
+   * Run one frame of playback (draws through renderer.frame).
+   * @returns {{ dt: number, done: boolean }} dt is the recorded step just undone
+   */
+  step(time, camera) {
+    const entry = this.ring.at(this.cursor);
+
+    if (this.mode === 'replay') {
+      if (entry.data) {
+        this.renderer.writeParticles(entry.data);
+        this.renderer.frame(0, entry.tOrder, time, camera, { physics: false });
+      }
+      this.cursor--;
+      return { dt: entry.dt, done: this.cursor < 0 };
+    }
+
+    // Reverse: step k undoes frame k, landing on the state recorded after frame k-1
+    this.renderer.frame(entry.dt, entry.tOrder, time, camera, { steps: entry.steps });
+    const target = this.ring.at(this.cursor - 1);
+    this.frames++;
+    if (target.data && (this.frames % ERROR_INTERVAL === 0 || this.cursor === 1)) {
+      const layout = this.renderer.particleLayout;
+      this.renderer.readParticles().then((data) => {
+        if (data) this.error = rmsDistance(data, target.data, layout, this.count);
+      });
+    }
+    this.cursor--;
+    return { dt: entry.dt, done: this.cursor < 1 };
+  }
+
+  /** End playback (finished or cancelled) and restore the physics parameters. */
+  stop() {
+    if (this.savedParams) {
+      for (const [key, value] of Object.entries(this.savedParams)) this.params.set(key, value);
+      this.savedParams = null;
+    }
+    this.mode = null;
+    // The scene is back in the past; the old recording no longer leads here
+    if (this.ring) this.ring.clear();
+  }
+}
\ No newline at end of file
@@ -7,8 +7,29 @@ import { WebGLFallback } from './webgl-fallback.js';
 import { StateMachine } from './state-machine.js';
 import { EntropyCalculator } from './entropy-calculator.js';
 import { Camera } from './camera.js';
+import { CameraControls } from './camera-controls.js';
+import { KeyboardControls } from './keyboard-controls.js';
+import { Announcer } from './announcer.js';
+import { SimParams, PARAM_DEFS } from './sim-params.js';
+import { LATTICES } from './lattice.js';
+import { DEFAULT_OBSERVABLE, OBSERVABLES } from './observables.js';
+import { fitMaxwellBoltzmann } from './maxwell-boltzmann.js';
+import { speedEdges } from './binning.js';
+import { EntropyChart } from './entropy-chart.js';
+import { HistogramChart } from './histogram-chart.js';
+import { RunRecorder } from './run-recorder.js';
+import { CanvasCapture, CAPTURE_SIZES } from './capture.js';
+import { OfflineRender, OFFLINE_FORMATS } from './offline-render.js';
+import { parseSeed, randomSeed } from './random.js';
+import { PALETTES, DEFAULT_PALETTE, VOLUME_MODES } from './color-map.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { LoschmidtEcho, ECHO_MODES } from './loschmidt.js';
+import { SimClock, MIN_TIME_SCALE, MAX_TIME_SCALE } from './sim-clock.js';
 import { UI } from './ui.js';
 
+// Particle count choices offered in the UI (filtered by renderer capacity)
+const PARTICLE_COUNT_PRESETS = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536, 131072];
+
 // Debug overlay for mobile (shows errors on-screen)
 const debugLines = [];
 function dbg(msg) {
@@ -43,17 +64,56 @@ async function main() {
   const canvas = document.getElementById('canvas');
   const ui = new UI();
   const stateMachine = new StateMachine();
-  const entropy = new EntropyCalculator(64);
+  const entropy = new EntropyCalculator();
   const camera = new Camera();
+  const announcer = new Announcer(document.getElementById('sr-announcer'));
+
+  // prefers-reduced-motion: slower drift and gentler transitions
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const applyReducedMotion = () => {
+    camera.setReducedMotion(reducedMotion.matches);
+    stateMachine.durationScale = reducedMotion.matches ? 2 : 1;
+  };
+  applyReducedMotion();
+  reducedMotion.addEventListener('change', applyReducedMotion);
+
+  // Permalink: the query string restores a shared setup (see permalink.js)
+  const link = decodePermalink(window.location.search);
+
+  const params = new SimParams(link.params);
+  ui.buildControls(params);
+  const chart = new EntropyChart(ui.entropyChartCanvas);
+  ui.buildChartWindowSelect(chart.windowSeconds, (s) => chart.setWindow(s));
+  const histChart = new HistogramChart(ui.speedHistCanvas);
+  ui.buildHistogramScaleToggle(histChart.logScale, (on) => histChart.setLogScale(on));
+
+  // Reproducible runs: ?seed=<int or text> picks the noise stream,
+  // ?fixed=1 steps physics by FIXED_DT regardless of frame rate
+  let seed = link.seed ?? randomSeed();
+  const clock = new SimClock({ fixedDt: link.fixedDt ?? false, substeps: params.substeps });
+
+  // Thermostat toggle and target drive the state machine's temperature mode
+  params.onChange((key, value) => {
+    if (key === 'thermostat') stateMachine.setTemperatureMode(value !== 0);
+    if (key === 'temperature') stateMachine.setTemperature(value);
+  });
+  stateMachine.setTemperature(params.temperature);
+  if (params.thermostat) stateMachine.setTemperatureMode(true);
 
   let renderer = null;
+  let offline = null;
   let useWebGPU = false;
+  const capture = new CanvasCapture(canvas);
 
-  // Resize canvas to device pixels
+  // Resize canvas to device pixels — or to the capture resolution while
+  // a snapshot/recording is in progress (letterboxed on screen)
   function resize() {
+    if (offline?.active) return; // the offline render owns the canvas size
     const dpr = Math.min(window.devicePixelRatio, 2);
-    const w = Math.floor(window.innerWidth * dpr);
-    const h = Math.floor(window.innerHeight * dpr);
+    const fixed = capture.active ? capture.outputSize : null;
+    const w = fixed ? fixed[0] : Math.floor(window.innerWidth * dpr);
+    const h = fixed ? fixed[1] : Math.floor(window.innerHeight * dpr);
+    canvas.classList.toggle('capturing', !!fixed);
     if (canvas.width !== w || canvas.height !== h) {
       canvas.width = w;
       canvas.height = h;
@@ -73,7 +133,9 @@ async function main() {
   }
 
   try {
-    if (navigator.gpu && !isIOS) {
+    if (link.renderer === 'webgl') {
+      dbg('WebGL2 requested by link');
+    } else if (navigator.gpu && !isIOS) {
       dbg('Requesting GPU adapter...');
       const adapter = await navigator.gpu.requestAdapter();
       if (adapter) {
@@ -96,7 +158,7 @@ async function main() {
   try {
     if (useWebGPU) {
       dbg('Init WebGPU renderer...');
-      renderer = new WebGPURenderer(canvas);
+      renderer = new WebGPURenderer(canvas, params);
       await renderer.init();
       ui.setRenderer('WebGPU');
       dbg('WebGPU OK');
@@ -107,7 +169,7 @@ async function main() {
     dbg('Trying WebGL2: ' + e.message);
     useWebGPU = false;
     try {
-      renderer = new WebGLFallback(canvas);
+      renderer = new WebGLFallback(canvas, params);
       await renderer.init();
       dbg('GL ctx: ' + (renderer.gl ? 'OK' : 'NULL'));
       dbg('MaxPtSize: ' + renderer.maxPointSize);
@@ -120,6 +182,356 @@ async function main() {
     }
   }
 
+  // Restore the linked scene before the selectors read it back
+  if (link.lattice) renderer.setLattice(link.lattice);
+  if (link.particleCount) renderer.setParticleCount(link.particleCount);
+  if (link.volumeMode) renderer.setVolumeMode(link.volumeMode);
+  if (link.camera) camera.setPose(link.camera);
+
+  // Lattice selector — rebuilds home positions on whichever backend is live
+  ui.addSelect(
+    'Lattice',
+    Object.entries(LATTICES).map(([value, l]) => ({ value, label: l.label })),
+    renderer.latticeType,
+    (type) => {
+      renderer.setLattice(type);
+      dbg('Lattice -> ' + type);
+    }
+  );
+
+  // Particle count — reallocates buffers on the live backend
+  ui.addSelect(
+    'Particles',
+    [...new Set([...PARTICLE_COUNT_PRESETS, renderer.particleCount])]
+      .filter(n => n <= renderer.maxParticleCount)
+      .sort((a, b) => a - b)
+      .map(n => ({ value: String(n), label: n.toLocaleString('en-US') })),
+    String(renderer.particleCount),
+    (value) => {
+      const n = renderer.setParticleCount(Number(value));
+      dbg('Particles -> ' + n);
+    }
+  );
+
+  // Palette — named maps plus a custom ramp edited stop by stop
+  let paletteKey = typeof link.palette === 'string' ? link.palette : DEFAULT_PALETTE;
+  ui.addSelect(
+    'Palette',
+    [
+      ...Object.entries(PALETTES).map(([value, p]) => ({ value, label: p.label })),
+      { value: 'custom', label: 'Custom…' },
+    ],
+    link.palette && typeof link.palette !== 'string' ? 'custom' : paletteKey,
+    (key) => {
+      if (key === 'custom') {
+        // Start editing from whatever was on screen
+        const base = PALETTES[paletteKey] || PALETTES[DEFAULT_PALETTE];
+        paletteEditor.setStops(base.stops, base.smooth);
+        renderer.setPalette({ stops: base.stops, smooth: base.smooth });
+      } else {
+        paletteKey = key;
+        renderer.setPalette(key);
+      }
+      paletteEditor.element.hidden = key !== 'custom';
+      dbg('Palette -> ' + key);
+    }
+  );
+  const paletteEditor = ui.buildPaletteEditor((palette) => renderer.setPalette(palette));
+  if (typeof link.palette === 'string') {
+    renderer.setPalette(link.palette);
+  } else if (link.palette) {
+    paletteEditor.setStops(link.palette.stops, link.palette.smooth);
+    paletteEditor.element.hidden = false;
+    renderer.setPalette(link.palette);
+  }
+
+  // What the palette encodes; opacity stays density-driven
+  ui.addSelect(
+    'Volume color',
+    Object.entries(VOLUME_MODES).map(([value, m]) => ({ value, label: m.label })),
+    renderer.volumeMode,
+    (mode) => {
+      renderer.setVolumeMode(mode);
+      dbg('Volume color -> ' + mode);
+    }
+  );
+
+  // Seed + fixed dt — changing the seed restarts the run from the lattice
+  renderer.setSeed(seed);
+  dbg('Seed: ' + seed);
+  const seedInput = ui.addInput('Seed', String(seed), (value) => {
+    seed = parseSeed(value);
+    seedInput.value = String(seed);
+    restartRun();
+  });
+  ui.addToggle('Fixed dt (1/60 s)', clock.fixedDt, (on) => {
+    clock.fixedDt = on;
+    dbg('Fixed dt -> ' + on);
+  });
+
+  // Pause / single step / time scale — one clock feeds the state machine,
+  // camera drift and physics alike
+  const timeScaleSlider = ui.addSlider(
+    'Time scale',
+    { min: MIN_TIME_SCALE, max: MAX_TIME_SCALE, step: 0.1, value: clock.timeScale },
+    (v) => `${v.toFixed(1)}×`,
+    (v) => {
+      // More substeps leave less room: past maxTimeScale time would be dropped
+      clock.setTimeScale(v);
+      if (clock.timeScale !== v) timeScaleSlider.set(clock.timeScale);
+    }
+  );
+  params.onChange((key, value) => {
+    if (key !== 'substeps') return;
+    clock.setSubsteps(value);
+    timeScaleSlider.set(clock.timeScale);
+  });
+  const [pauseButton] = ui.addActions([
+    { label: 'Pause', onClick: () => togglePause() },
+    { label: 'Step', onClick: () => stepFrame() },
+  ]);
+  function syncPauseButton() {
+    pauseButton.textContent = clock.paused ? 'Resume' : 'Pause';
+    pauseButton.classList.toggle('active', clock.paused);
+  }
+  function togglePause() {
+    const paused = clock.toggle();
+    syncPauseButton();
+    announcer.announce(paused ? 'Paused' : 'Resumed');
+    dbg(paused ? 'Paused' : 'Resumed');
+  }
+  function stepFrame() {
+    clock.step();
+    syncPauseButton();
+  }
+  const [, copyLinkButton] = ui.addActions([
+    { label: 'Restart', onClick: () => restartRun() },
+    { label: 'Copy link', onClick: () => copyLink() },
+  ]);
+
+  /** Current setup as a URL; the camera pose is included once the user has moved it. */
+  function permalink() {
+    const query = encodePermalink({
+      renderer: useWebGPU ? 'webgpu' : 'webgl',
+      particleCount: renderer.particleCount,
+      lattice: renderer.latticeType,
+      palette: renderer.palette,
+      volumeMode: renderer.volumeMode,
+      observable: entropy.observable,
+      seed,
+      fixedDt: clock.fixedDt,
+      camera: camera.userControlled ? camera.getPose() : undefined,
+      params: Object.fromEntries(PARAM_DEFS.map(d => [d.key, params[d.key]])),
+    });
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+  }
+
+  async function copyLink() {
+    const url = permalink();
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      copyLinkButton.textContent = 'Copied';
+    } catch (e) {
+      // Clipboard blocked (insecure context, permissions): the address bar has it
+      copyLinkButton.textContent = 'In address bar';
+      dbg('Clipboard: ' + e.message);
+    }
+    setTimeout(() => { copyLinkButton.textContent = 'Copy link'; }, 1500);
+  }
+
+  function restartRun() {
+    renderer.setSeed(seed);
+    stateMachine.reset();
+    if (params.thermostat) stateMachine.setTemperatureMode(true);
+    totalTime = 0;
+    chart.clear();
+    dbg('Restart, seed ' + seed);
+  }
+
+  // Entropy observable — the renderer only runs the costlier density
+  // reduction while positional entropy is on screen
+  const observable = link.observable ?? DEFAULT_OBSERVABLE;
+  entropy.setObservable(observable);
+  renderer.setObservable(observable);
+  ui.buildObservableSelect(observable, (key) => {
+    // A run records one observable; switching ends it
+    if (recorder.recording) stopRecording();
+    entropy.setObservable(key);
+    renderer.setObservable(key);
+    chart.clear();
+    dbg('Observable -> ' + key);
+  });
+
+  // Run recorder — per-frame entropy + raw histogram, exported as CSV/JSON
+  const recorder = new RunRecorder();
+  const [recordButton, csvButton, jsonButton] = ui.addActions([
+    { label: 'Record', onClick: () => (recorder.recording ? stopRecording() : startRecording()) },
+    { label: 'CSV', onClick: () => recorder.download('csv') },
+    { label: 'JSON', onClick: () => recorder.download('json') },
+  ]);
+  // Canvas capture — PNG snapshot and WebM clips, optionally at a fixed size
+  ui.addSelect(
+    'Capture size',
+    Object.entries(CAPTURE_SIZES).map(([value, c]) => ({ value, label: c.label })),
+    capture.sizeKey,
+    (key) => {
+      capture.sizeKey = key;
+      dbg('Capture size -> ' + key);
+    }
+  );
+  ui.addToggle('Burn in overlay', capture.burnIn, (on) => { capture.burnIn = on; });
+  const [, videoButton] = ui.addActions([
+    { label: 'Snapshot', onClick: () => capture.snapshot() },
+    { label: 'Record video', onClick: () => toggleVideo() },
+  ]);
+  videoButton.disabled = !CanvasCapture.videoSupported;
+  function toggleVideo() {
+    if (capture.recording) {
+      capture.stopRecording();
+      dbg('Video saved');
+    } else {
+      capture.startRecording();
+      dbg('Video recording');
+    }
+    videoButton.textContent = capture.recording ? 'Stop video' : 'Record video';
+    videoButton.classList.toggle('active', capture.recording);
+  }
+
+  // Offline render — fixed dt, fixed resolution, more raymarch samples,
+  // exported frame by frame (the RAF loop idles meanwhile)
+  offline = new OfflineRender({ renderer, canvas, stateMachine, camera });
+  const offlineSettings = { size: '4k', frames: 300, fps: 60, marchSteps: 256, format: 'zip', shatter: false };
+  ui.addSelect(
+    'Offline size',
+    Object.entries(CAPTURE_SIZES)
+      .filter(([, c]) => c.size)
+      .map(([value, c]) => ({ value, label: c.label })),
+    offlineSettings.size,
+    (key) => { offlineSettings.size = key; }
+  );
+  const intInput = (label, key, min, max) => {
+    const input = ui.addInput(label, String(offlineSettings[key]), (value) => {
+      const n = Math.round(Number(value));
+      if (Number.isFinite(n)) offlineSettings[key] = Math.min(Math.max(n, min), max);
+      input.value = String(offlineSettings[key]);
+    });
+  };
+  intInput('Offline frames', 'frames', 1, 36000);
+  intInput('Offline fps', 'fps', 1, 240);
+  intInput('March steps', 'marchSteps', 16, 1024);
+  ui.addSelect(
+    'Offline output',
+    Object.entries(OFFLINE_FORMATS).map(([value, f]) => ({ value, label: f.label })),
+    offlineSettings.format,
+    (format) => { offlineSettings.format = format; }
+  );
+  ui.addToggle('Shatter on first frame', offlineSettings.shatter, (on) => { offlineSettings.shatter = on; });
+  const [offlineButton] = ui.addActions([
+    { label: 'Render frames', onClick: () => (offline.active ? offline.cancel() : renderOffline()) },
+  ]);
+
+  async function renderOffline() {
+    if (capture.recording) capture.stopRecording();
+    // The echo's overrides mustn't leak into the render, and its snapshot
+    // ring can't span the offline frames (a rewind would jump across them)
+    if (echo.active) finishEcho();
+    if (echo.recording) {
+      echo.stopRecording();
+      syncEchoButtons();
+    }
+    const [width, height] = CAPTURE_SIZES[offlineSettings.size].size;
+    dbg(`Offline ${offlineSettings.frames} frames @ ${width}x${height}`);
+    offlineButton.classList.add('active');
+    try {
+      totalTime = await offline.run({
+        width, height,
+        fps: offlineSettings.fps,
+        frames: offlineSettings.frames,
+        marchSteps: offlineSettings.marchSteps,
+        format: offlineSettings.format,
+        startTime: totalTime,
+        shatter: offlineSettings.shatter ? 0 : -1,
+        onProgress: (done, total) => { offlineButton.textContent = `Cancel (${done}/${total})`; },
+      });
+      dbg('Offline render done');
+    } catch (e) {
+      dbg('Offline render: ' + e.message);
+    }
+    offlineButton.textContent = 'Render frames';
+    offlineButton.classList.remove('active');
+    resize();
+  }
+
+  // Time reversal (Loschmidt echo) — record snapshots, then rewind them or
+  // flip every velocity and integrate back, optionally nudged by ε
+  const echo = new LoschmidtEcho(renderer, params);
+  const echoSettings = { mode: 'reverse', epsilon: 0 };
+  ui.addSelect(
+    'Echo',
+    Object.entries(ECHO_MODES).map(([value, m]) => ({ value, label: m.label })),
+    echoSettings.mode,
+    (mode) => { echoSettings.mode = mode; }
+  );
+  const epsilonInput = ui.addInput('Echo ε', String(echoSettings.epsilon), (value) => {
+    const eps = Number(value);
+    if (Number.isFinite(eps) && eps >= 0) echoSettings.epsilon = eps;
+    epsilonInput.value = String(echoSettings.epsilon);
+  });
+  const [snapshotsButton, reverseButton] = ui.addActions([
+    { label: 'Record snapshots', onClick: () => toggleSnapshots() },
+    { label: 'Reverse', onClick: () => (echo.active ? finishEcho() : startEcho()) },
+  ]);
+  function syncEchoButtons() {
+    snapshotsButton.textContent = echo.recording ? 'Stop snapshots' : 'Record snapshots';
+    snapshotsButton.classList.toggle('active', echo.recording);
+    reverseButton.classList.toggle('active', echo.active);
+    reverseButton.textContent = echo.active ? 'Stop' : 'Reverse';
+  }
+  function toggleSnapshots() {
+    if (echo.recording) echo.stopRecording();
+    else echo.startRecording();
+    syncEchoButtons();
+  }
+  async function startEcho() {
+    if (offline.active) return; // the offline render owns the scene until it finishes
+    try {
+      await echo.start(echoSettings.mode, { epsilon: echoSettings.epsilon, seed });
+      dbg(`Echo ${echoSettings.mode}, ${echo.recorded} frames, ε=${echoSettings.epsilon}`);
+    } catch (e) {
+      dbg('Echo: ' + e.message);
+    }
+    syncEchoButtons();
+  }
+  function finishEcho() {
+    if (echo.error !== null) dbg(`Echo error ${echo.error.toExponential(2)}`);
+    echo.stop();
+    syncEchoButtons();
+  }
+
+  function syncRecordButtons() {
+    recordButton.textContent = recorder.recording ? 'Stop' : 'Record';
+    recordButton.classList.toggle('active', recorder.recording);
+    csvButton.disabled = jsonButton.disabled = recorder.recording || !recorder.hasData;
+  }
+  function startRecording() {
+    recorder.start({
+      renderer: useWebGPU ? 'WebGPU' : 'WebGL2',
+      particleCount: renderer.particleCount,
+      lattice: renderer.latticeType,
+      observable: entropy.observable,
+      params: Object.fromEntries(PARAM_DEFS.map(d => [d.key, params[d.key]])),
+    });
+    syncRecordButtons();
+    dbg('Recording started');
+  }
+  function stopRecording() {
+    recorder.stop();
+    syncRecordButtons();
+    dbg('Recording stopped: ' + recorder.frames.length + ' frames');
+  }
+  syncRecordButtons();
+
   ui.hideLoading();
   dbg('Loading hidden, starting RAF');
 
@@ -138,21 +550,28 @@ async function main() {
   // Events
   window.addEventListener('resize', resize);
 
-  canvas.addEventListener('click', () => {
+  // Pointer input (mouse + touch): drags move the camera, a single
+  // click/tap toggles the state, a double one resets the view
+  function toggleState() {
     if (stateMachine.canClick) {
       stateMachine.click();
-      dbg('Click -> ' + stateMachine.state);
+      dbg('Tap -> ' + stateMachine.state);
     }
+  }
+
+  new CameraControls(canvas, camera, {
+    onTap: toggleState,
+    onReset: () => dbg('Camera reset'),
   });
+  canvas.addEventListener('pointerdown', () => canvas.focus({ preventScroll: true }));
 
-  // Touch support (passive: false required for iOS preventDefault)
-  canvas.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    if (stateMachine.canClick) {
-      stateMachine.click();
-      dbg('Tap -> ' + stateMachine.state);
-    }
-  }, { passive: false });
+  // Keyboard: space toggles, arrows orbit, +/- zoom, P pauses, . steps
+  new KeyboardControls(canvas, camera, {
+    onToggle: toggleState,
+    onPause: togglePause,
+    onStep: stepFrame,
+    onReset: () => announcer.announce('View reset'),
+  });
 
   // Prevent iOS elastic scroll / pull-to-refresh on canvas
   canvas.addEventListener('touchmove', (e) => {
@@ -171,24 +590,54 @@ async function main() {
   let totalTime = 0;
   let frameCount = 0;
 
+  function captureFrame() {
+    capture.captureFrame({
+      entropy: entropy.currentEntropy,
+      unit: 'bits',
+      label: `Shannon entropy · ${OBSERVABLES[entropy.observable].label}`,
+      state: stateMachine.stateLabel,
+    });
+  }
+
   function frame(now) {
     requestAnimationFrame(frame);
 
     const dtRaw = (now - lastTime) / 1000;
     lastTime = now;
-    // Clamp dt to prevent explosion after tab switch
-    const dt = Math.min(dtRaw, 1 / 20);
-    totalTime += dt;
-
-    // Update state machine
-    stateMachine.update(dt);
+    if (offline.active) return; // offline render is stepping the scene itself
+    // Simulation dt: clamped, time-scaled, 0 while paused
+    const dt = clock.tick(dtRaw);
 
-    // Update camera
-    camera.update(dt);
+    // Update camera (drifts in sim time, responds to input in real time)
+    camera.update(dt, Math.min(dtRaw, 1 / 20));
+    announcer.update(entropy, stateMachine, now / 1000);
+    resize();
+    if (dt === 0) {
+      // Paused: redraw the frozen scene so it can still be orbited
+      try {
+        renderer.render(totalTime, camera);
+        captureFrame();
+      } catch (e) {
+        if (frameCount < 3) dbg('Render err: ' + e.message);
+      }
+      ui.update(entropy, stateMachine, 'PAUSED');
+      return;
+    }
 
-    // Render frame
+    // Render frame — an echo in progress plays back the recording instead
     try {
-      renderer.frame(dt, stateMachine.tOrder, totalTime, camera);
+      if (echo.active) {
+        const { dt: undone, done } = echo.step(totalTime + dt, camera);
+        totalTime += undone;
+        if (echo.error !== null) reverseButton.textContent = `Stop · err ${echo.error.toExponential(1)}`;
+        if (done) finishEcho();
+      } else {
+        totalTime += dt;
+        stateMachine.update(dt);
+        const steps = renderer.frame(dt, stateMachine.tOrder, totalTime, camera, { minSteps: clock.stepping ? 1 : 0 });
+        echo.record(dt, stateMachine.tOrder, steps);
+      }
+      captureFrame();
     } catch (e) {
       if (frameCount < 3) dbg('Frame err: ' + e.message);
     }
@@ -196,15 +645,37 @@ async function main() {
     frameCount++;
     if (frameCount === 5) dbg('Rendering (5 frames OK)');
 
-    // Read histogram and compute entropy
-    const hist = renderer.getHistogram();
-    if (hist) {
-      entropy.compute(hist);
+    // Read observables and compute entropy
+    const observables = renderer.getObservables();
+    if (observables) {
+      entropy.computeObservables(observables);
     }
     entropy.updateDisplay(dt);
+    // Speed bins travel with each readback, so fit and chart match the counts
+    const binning = observables?.binning ?? null;
+    ui.updateFit(binning && fitMaxwellBoltzmann(observables.speed, speedEdges(binning)));
+
+    if (recorder.recording) {
+      recorder.record({
+        time: totalTime,
+        tOrder: stateMachine.tOrder,
+        state: stateMachine.state,
+        // Positional entropy has no binned histogram (it's the 64³ density grid)
+        histogram: observables?.[entropy.observable] ?? null,
+        binning,
+        entropy: entropy.currentEntropy,
+        normalized: entropy.normalizedEntropy,
+      });
+      if (!recorder.recording) stopRecording(); // hit the frame cap
+    }
+
+    // Entropy history
+    chart.push(totalTime, entropy.normalizedEntropy, stateMachine.state);
+    chart.draw();
+    histChart.draw(observables?.speed ?? null, binning);
 
     // Update UI
-    ui.update(entropy, stateMachine);
+    ui.update(entropy, stateMachine, echo.active ? (echo.mode === 'replay' ? 'REWINDING' : 'REVERSING') : null);
   }
 
   requestAnimationFrame(frame);
@@ -0,0 +1,113 @@
+/**
+ * Maxwell-Boltzmann fit of the speed histogram.
+ *
+ * A thermalised gas of unit-mass particles has speeds distributed as
+ *   f(v) = √(2/π) · v² / a³ · e^(−v²/2a²),   a² = kT
+ * so one number, kT, describes it. The fit is a binned maximum likelihood:
+ * the kT whose bin probabilities q_k minimise
+ *   D_KL(P ‖ Q) = Σ p_k log2(p_k / q_k)   (bits)
+ * against the measured p_k, which is also the divergence reported. The top
+ * bin holds every speed past the range (the histograms clamp into it), so
+ * its q is the whole tail beyond its lower edge. Edges come from
+ * binning.js speedEdges, so any binning scheme can be fitted.
+ */
+
+export const THERMALISED_BITS = 0.05; // divergence below which we call it thermal
+const FIT_BRACKET = 3;                // search ln kT within ±3 of the moment estimate (×20)
+const FIT_ITERATIONS = 40;
+const MIN_PROBABILITY = 1e-12;        // keeps log(p/q) finite for empty model bins
+
+/** Error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7). */
+export function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+/** Probability that a Maxwell-Boltzmann speed at temperature kT is below v. */
+export function maxwellCDF(v, kT) {
+  if (v <= 0) return 0;
+  const x = v / Math.sqrt(2 * kT);
+  return erf(x) - (2 / Math.sqrt(Math.PI)) * x * Math.exp(-x * x);
+}
+
+/**
+ * Expected fraction of particles per bin; the last bin is open-ended.
+ * @param {number} kT
+ * @param {ArrayLike<number>} edges - bins + 1 ascending edges from 0
+ * @returns {Float64Array}
+ */
+export function maxwellBinProbabilities(kT, edges) {
+  const bins = edges.length - 1;
+  const q = new Float64Array(bins);
+  let below = maxwellCDF(edges[0], kT);
+  for (let k = 0; k < bins - 1; k++) {
+    const next = maxwellCDF(edges[k + 1], kT);
+    q[k] = next - below;
+    below = next;
+  }
+  q[bins - 1] = 1 - below;
+  return q;
+}
+
+/**
+ * D_KL(P ‖ Q) in bits from counts and model probabilities.
+ * @param {ArrayLike<number>} counts
+ * @param {ArrayLike<number>} q
+ */
+export function klDivergence(counts, q) {
+  let total = 0;
+  for (let k = 0; k < counts.length; k++) total += counts[k];
+  if (total === 0) return 0;
+  let d = 0;
+  for (let k = 0; k < counts.length; k++) {
+    if (counts[k] === 0) continue;
+    const p = counts[k] / total;
+    d += p * Math.log2(p / Math.max(q[k], MIN_PROBABILITY));
+  }
+  return Math.max(d, 0);
+}
+
+/**
+ * Fit kT to a speed histogram.
+ * @param {ArrayLike<number> | null} histogram - speed bin counts
+ * @param {ArrayLike<number>} edges - histogram.length + 1 bin edges
+ * @returns {{ kT: number, divergence: number, thermalised: boolean } | null}
+ *   null for an empty histogram. thermalised also needs the peak (at √(2kT))
+ *   past the first bin, so a lattice at rest doesn't count as a cold gas.
+ */
+export function fitMaxwellBoltzmann(histogram, edges) {
+  if (!histogram) return null;
+  // Start from the moment estimate kT = <v²>/3 over bin centres
+  let total = 0, sumV2 = 0;
+  for (let k = 0; k < histogram.length; k++) {
+    const c = (edges[k] + edges[k + 1]) / 2;
+    total += histogram[k];
+    sumV2 += histogram[k] * c * c;
+  }
+  if (total === 0) return null;
+  const guess = Math.log(sumV2 / (3 * total));
+
+  // Golden-section search over ln kT; the binned likelihood is unimodal in it
+  const cost = (u) => klDivergence(histogram, maxwellBinProbabilities(Math.exp(u), edges));
+  const g = (Math.sqrt(5) - 1) / 2;
+  let lo = guess - FIT_BRACKET, hi = guess + FIT_BRACKET;
+  let a = hi - g * (hi - lo), b = lo + g * (hi - lo);
+  let fa = cost(a), fb = cost(b);
+  for (let i = 0; i < FIT_ITERATIONS; i++) {
+    if (fa < fb) {
+      hi = b; b = a; fb = fa;
+      a = hi - g * (hi - lo); fa = cost(a);
+    } else {
+      lo = a; a = b; fa = fb;
+      b = lo + g * (hi - lo); fb = cost(b);
+    }
+  }
+
+  const kT = Math.exp((lo + hi) / 2);
+  const divergence = cost(Math.log(kT));
+  const resolved = Math.sqrt(2 * kT) > edges[1];
+  return { kT, divergence, thermalised: resolved && divergence < THERMALISED_BITS };
+}
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Entropy observables — histogram layouts shared by the GPU passes and the
+ * CPU path, plus CPU reference binning.
+ *
+ * One u32 histogram buffer holds every binned observable back to back:
+ *   [0, speedBins)                      speed
+ *   [speedBins, +DIRECTION_BINS)        velocity direction (equal-area sphere bins)
+ *   [.., +JOINT_BINS)                   joint position (4³ cells) × speed (8 bins)
+ *   [.., +1)                            fastest speed, as f32 bits (atomicMax on the GPU)
+ * Speed bins follow a Binning (binning.js); the joint speed bins are the
+ * speed bins grouped eight ways.
+ * Positional entropy comes from the 64³ density grid instead (see densityMoments).
+ */
+
+import { DEFAULT_SPEED_BINS, speedBin } from './binning.js';
+
+export const GRID_RES = 64;
+export const GRID_VOXELS = GRID_RES * GRID_RES * GRID_RES; // 262144
+export const GRID_MIN = [-3.5, -3.5, -3.5];
+export const GRID_MAX = [3.5, 3.5, 3.5];
+export const SPLAT_RADIUS = 2.0; // grid cells
+
+// Direction bins: Archimedes' hat-box — equal bands in cos(theta) have equal area
+export const DIR_Z_BANDS = 8;
+export const DIR_PHI_SECTORS = 16;
+export const DIRECTION_BINS = DIR_Z_BANDS * DIR_PHI_SECTORS;
+
+export const JOINT_POS_RES = 4;
+export const JOINT_SPEED_BINS = 8;
+export const JOINT_BINS = JOINT_POS_RES ** 3 * JOINT_SPEED_BINS;
+
+export const OBSERVABLES = {
+  speed:     { label: 'Speed',              bins: DEFAULT_SPEED_BINS }, // default; see binning.js
+  position:  { label: 'Position (density)', bins: GRID_VOXELS },
+  direction: { label: 'Velocity direction', bins: DIRECTION_BINS },
+  joint:     { label: 'Position × speed',   bins: JOINT_BINS },
+};
+
+export const DEFAULT_OBSERVABLE = 'speed';
+
+/** Total u32 slots in the combined histogram buffer. */
+export function histogramSize(speedBins) {
+  return speedBins + DIRECTION_BINS + JOINT_BINS + 1;
+}
+
+/**
+ * Splat amplitude per particle. Total splatted mass is held at the
+ * 2048-particle level so brightness doesn't scale with particle count.
+ */
+export function splatStrengthFor(count) {
+  return 1.5 * 2048 / count;
+}
+
+/**
+ * Split a combined histogram buffer into per-observable views.
+ * @param {Uint32Array} hist - combined buffer (histogramSize(speedBins) long)
+ * @returns {{ speed: Uint32Array, direction: Uint32Array, joint: Uint32Array,
+ *             speedMax: number }} speedMax is the fastest particle binned
+ */
+export function splitHistogram(hist, speedBins) {
+  const dirEnd = speedBins + DIRECTION_BINS;
+  const maxSlot = dirEnd + JOINT_BINS;
+  return {
+    speed: hist.subarray(0, speedBins),
+    direction: hist.subarray(speedBins, dirEnd),
+    joint: hist.subarray(dirEnd, maxSlot),
+    speedMax: new Float32Array(hist.buffer, hist.byteOffset + maxSlot * 4, 1)[0],
+  };
+}
+
+/**
+ * CPU reference for histogram.wgsl: bin every particle into the combined buffer.
+ * @param {Float32Array} particles - interleaved particle data
+ * @param {number} stride - floats per particle
+ * @param {number} count
+ * @param {{ position: number, velocity: number, speed: number }} offsets - float offsets within a particle
+ * @param {import('./binning.js').Binning} binning - speed bins
+ * @returns {Uint32Array} combined histogram
+ */
+export function binParticles(particles, stride, count, offsets, binning) {
+  const speedBins = binning.bins;
+  const hist = new Uint32Array(histogramSize(speedBins));
+  const dirBase = speedBins;
+  const jointBase = speedBins + DIRECTION_BINS;
+  let speedMax = 0;
+
+  for (let i = 0; i < count; i++) {
+    const b = i * stride;
+    const spd = particles[b + offsets.speed];
+    const bin = speedBin(spd, binning);
+    hist[bin]++;
+    speedMax = Math.max(speedMax, spd);
+
+    // Direction — particles exactly at rest have none
+    if (spd > 1e-6) {
+      const dz = particles[b + offsets.velocity + 2] / spd;
+      const phi = Math.atan2(particles[b + offsets.velocity + 1], particles[b + offsets.velocity]);
+      const band = Math.min(Math.floor((dz + 1) * 0.5 * DIR_Z_BANDS), DIR_Z_BANDS - 1);
+      const sector = Math.min(Math.floor((phi + Math.PI) / (2 * Math.PI) * DIR_PHI_SECTORS), DIR_PHI_SECTORS - 1);
+      hist[dirBase + band * DIR_PHI_SECTORS + sector]++;
+    }
+
+    // Joint position x speed
+    let cell = 0;
+    for (let a = 2; a >= 0; a--) {
+      const t = (particles[b + offsets.position + a] - GRID_MIN[a]) / (GRID_MAX[a] - GRID_MIN[a]);
+      const c = Math.min(Math.max(Math.floor(t * JOINT_POS_RES), 0), JOINT_POS_RES - 1);
+      cell = cell * JOINT_POS_RES + c;
+    }
+    hist[jointBase + cell * JOINT_SPEED_BINS + Math.floor(bin * JOINT_SPEED_BINS / speedBins)]++;
+  }
+  new Float32Array(hist.buffer)[hist.length - 1] = speedMax;
+  return hist;
+}
+
+/**
+ * CPU reference for density-splat.wgsl (same Gaussian, same u32 fixed point).
+ * @returns {Uint32Array} GRID_VOXELS densities
+ */
+export function splatDensity(particles, stride, count, offsets, out = new Uint32Array(GRID_VOXELS)) {
+  out.fill(0);
+  const r = Math.ceil(SPLAT_RADIUS);
+  const sigma = SPLAT_RADIUS * 0.5;
+  const strength = splatStrengthFor(count);
+
+  for (let i = 0; i < count; i++) {
+    const b = i * stride;
+    const gx = (particles[b + offsets.position] - GRID_MIN[0]) / (GRID_MAX[0] - GRID_MIN[0]) * GRID_RES;
+    const gy = (particles[b + offsets.position + 1] - GRID_MIN[1]) / (GRID_MAX[1] - GRID_MIN[1]) * GRID_RES;
+    const gz = (particles[b + offsets.position + 2] - GRID_MIN[2]) / (GRID_MAX[2] - GRID_MIN[2]) * GRID_RES;
+    const cx = Math.floor(gx), cy = Math.floor(gy), cz = Math.floor(gz);
+    const speedFactor = 1.0 + particles[b + offsets.speed] * 0.3;
+
+    for (let dz = -r; dz <= r; dz++) {
+      const z = cz + dz;
+      if (z < 0 || z >= GRID_RES) continue;
+      for (let dy = -r; dy <= r; dy++) {
+        const y = cy + dy;
+        if (y < 0 || y >= GRID_RES) continue;
+        for (let dx = -r; dx <= r; dx++) {
+          const x = cx + dx;
+          if (x < 0 || x >= GRID_RES) continue;
+          const ex = gx - (x + 0.5), ey = gy - (y + 0.5), ez = gz - (z + 0.5);
+          const weight = Math.exp(-(ex * ex + ey * ey + ez * ez) / (2 * sigma * sigma));
+          const contribution = Math.floor(weight * strength * speedFactor * 1000);
+          if (contribution > 0) {
+            out[x + y * GRID_RES + z * GRID_RES * GRID_RES] += contribution;
+          }
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Index of the density voxel containing a world position.
+ * @returns {number} index into a GRID_VOXELS array, or -1 outside the grid
+ */
+export function voxelIndex(x, y, z) {
+  const gx = Math.floor((x - GRID_MIN[0]) / (GRID_MAX[0] - GRID_MIN[0]) * GRID_RES);
+  const gy = Math.floor((y - GRID_MIN[1]) / (GRID_MAX[1] - GRID_MIN[1]) * GRID_RES);
+  const gz = Math.floor((z - GRID_MIN[2]) / (GRID_MAX[2] - GRID_MIN[2]) * GRID_RES);
+  if (gx < 0 || gx >= GRID_RES || gy < 0 || gy >= GRID_RES || gz < 0 || gz >= GRID_RES) return -1;
+  return gx + gy * GRID_RES + gz * GRID_RES * GRID_RES;
+}
+
+/**
+ * Moments for positional entropy of a density grid, treating d/Σd as a
+ * distribution: H = log2(S) − T/S with S = Σd, T = Σ d·log2(d).
+ * @param {ArrayLike<number>} density
+ * @returns {{ sum: number, sumXLogX: number }}
+ */
+export function densityMoments(density) {
+  let sum = 0;
+  let sumXLogX = 0;
+  for (let i = 0; i < density.length; i++) {
+    const d = density[i];
+    if (d > 0) {
+      sum += d;
+      sumXLogX += d * Math.log2(d);
+    }
+  }
+  return { sum, sumXLogX };
+}
\ No newline at end of file
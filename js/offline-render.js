@@ -0,0 +1,132 @@
+/**
+ * Offline rendering: steps the simulation at a fixed dt, independent of
+ * wall-clock time, and renders every frame at a chosen resolution with
+ * more raymarch samples than real time can afford. Frames are exported as
+ * a zip (STORE) or a numbered PNG sequence.
+ *
+ * It drives renderer.frame directly — no requestAnimationFrame — awaiting
+ * each PNG encode before stepping on, so a slow machine only makes the
+ * render take longer, never changes its output. main.js suspends its RAF
+ * loop while `active` is set.
+ */
+
+import { State } from './state-machine.js';
+import { ZipWriter } from './zip.js';
+import { downloadBlob, fileStamp } from './download.js';
+
+export const OFFLINE_FORMATS = {
+  zip: { label: 'Zip of PNGs' },
+  png: { label: 'PNG sequence' },
+};
+
+export class OfflineRender {
+  /**
+   * @param {{ renderer: object, canvas: HTMLCanvasElement,
+   *           stateMachine: import('./state-machine.js').StateMachine,
+   *           camera: import('./camera.js').Camera }} scene
+   */
+  constructor({ renderer, canvas, stateMachine, camera }) {
+    this.renderer = renderer;
+    this.canvas = canvas;
+    this.stateMachine = stateMachine;
+    this.camera = camera;
+    this.active = false;
+    this.cancelled = false;
+    this.size = null;
+  }
+
+  /** Stop after the frame in flight; frames so far are still exported. */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * @param {{ width: number, height: number, fps: number, frames: number,
+   *           marchSteps: number, format: 'zip' | 'png', startTime: number,
+   *           shatter?: number,
+   *           onProgress?: (done: number, total: number) => void }} options -
+   *   shatter is the frame index at which to click while ORDERED (-1 = never)
+   * @returns {Promise<number>} simulation time after the last frame
+   */
+  async run({
+    width, height, fps, frames, marchSteps, format, startTime,
+    shatter = -1, onProgress = () => {},
+  }) {
+    if (this.active) throw new Error('Offline render already running');
+    const output = await openOutput(format);
+    const { renderer, canvas, stateMachine, camera } = this;
+    const dt = 1 / fps;
+    let time = startTime;
+
+    this.active = true;
+    this.cancelled = false;
+    this.size = [width, height];
+    const liveMarchSteps = renderer.marchSteps;
+    renderer.resize(width, height);
+    renderer.setMarchSteps(marchSteps);
+    // Steps per frame follow from fps alone, not from real-time frames before
+    renderer.resetAccumulator();
+
+    try {
+      for (let i = 0; i < frames && !this.cancelled; i++) {
+        if (i === shatter && stateMachine.state === State.ORDERED) stateMachine.click();
+        stateMachine.update(dt);
+        camera.update(dt);
+        time += dt;
+        renderer.frame(dt, stateMachine.tOrder, time, camera);
+        // Must be requested in the same task as the draw, before the
+        // drawing buffer is presented and cleared
+        const blob = await canvasToPNG(canvas);
+        await output.add(`frame_${String(i).padStart(5, '0')}.png`, blob);
+        onProgress(i + 1, frames);
+      }
+      await output.finish();
+    } finally {
+      renderer.setMarchSteps(liveMarchSteps);
+      this.active = false;
+      this.size = null;
+    }
+    return time;
+  }
+}
+
+function canvasToPNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encode failed'))), 'image/png');
+  });
+}
+
+/**
+ * Where frames go: a zip downloaded at the end, a folder picked by the
+ * user (File System Access API), or — without that API — one download
+ * per frame.
+ */
+async function openOutput(format) {
+  const stamp = fileStamp();
+
+  if (format === 'zip') {
+    const zip = new ZipWriter();
+    return {
+      add: (name, blob) => zip.add(`entropy-${stamp}/${name}`, blob),
+      finish: () => downloadBlob(zip.finish(), `entropy-frames-${stamp}.zip`),
+    };
+  }
+
+  if (window.showDirectoryPicker) {
+    const dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+    return {
+      add: async (name, blob) => {
+        const file = await dir.getFileHandle(name, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      },
+      finish: () => {},
+    };
+  }
+
+  return {
+    add: (name, blob) => downloadBlob(blob, name),
+    finish: () => {},
+  };
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Cross-backend parity metrics. DOM-free so Node tests and the browser
+ * harness (parity.html) share it.
+ *
+ * A run is one entry per step: { entropy, histogram, overflow? }. Histograms
+ * are compared as distributions with total variation distance
+ *   TVD = ½ Σ |p_k − q_k|   (0 = identical, 1 = disjoint).
+ * overflow counts particles the spatial hash dropped from full cells; the
+ * backends drop different ones, so steps from the first overflow on are
+ * not expected to match.
+ */
+
+/**
+ * @param {ArrayLike<number> | null} a
+ * @param {ArrayLike<number> | null} b
+ * @returns {number} TVD in [0, 1]
+ */
+export function totalVariation(a, b) {
+  const n = Math.max(a?.length ?? 0, b?.length ?? 0);
+  let sa = 0, sb = 0;
+  for (let i = 0; i < n; i++) {
+    sa += a?.[i] ?? 0;
+    sb += b?.[i] ?? 0;
+  }
+  if (sa === 0 && sb === 0) return 0;
+  if (sa === 0 || sb === 0) return 1;
+
+  let d = 0;
+  for (let i = 0; i < n; i++) {
+    d += Math.abs((a?.[i] ?? 0) / sa - (b?.[i] ?? 0) / sb);
+  }
+  return d / 2;
+}
+
+/**
+ * How far two runs drift apart, step by step.
+ * @param {Array<{ entropy: number, histogram: ArrayLike<number> | null, overflow?: number }>} a
+ * @param {Array<{ entropy: number, histogram: ArrayLike<number> | null, overflow?: number }>} b
+ * @param {number} tolerance - |ΔH| in bits that counts as diverged
+ * @returns {{ steps: number,
+ *             entropyDiff: number[], histogramDiff: number[],
+ *             entropy: { max: number, mean: number, final: number },
+ *             histogram: { max: number, mean: number, final: number },
+ *             firstDivergence: number, firstOverflow: number }}
+ *   firstDivergence and firstOverflow are -1 if never
+ */
+export function compareRuns(a, b, tolerance = 0.05) {
+  const steps = Math.min(a.length, b.length);
+  const entropyDiff = new Array(steps);
+  const histogramDiff = new Array(steps);
+  let firstDivergence = -1;
+  let firstOverflow = -1;
+
+  for (let i = 0; i < steps; i++) {
+    entropyDiff[i] = Math.abs(a[i].entropy - b[i].entropy);
+    histogramDiff[i] = totalVariation(a[i].histogram, b[i].histogram);
+    if (firstDivergence < 0 && entropyDiff[i] > tolerance) firstDivergence = i;
+    if (firstOverflow < 0 && ((a[i].overflow ?? 0) > 0 || (b[i].overflow ?? 0) > 0)) firstOverflow = i;
+  }
+
+  return {
+    steps,
+    entropyDiff,
+    histogramDiff,
+    entropy: summarize(entropyDiff),
+    histogram: summarize(histogramDiff),
+    firstDivergence,
+    firstOverflow,
+  };
+}
+
+function summarize(values) {
+  if (values.length === 0) return { max: 0, mean: 0, final: 0 };
+  let max = 0, sum = 0;
+  for (const v of values) {
+    max = Math.max(max, v);
+    sum += v;
+  }
+  return { max, mean: sum / values.length, final: values[values.length - 1] };
+}
\ No newline at end of file
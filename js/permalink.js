@@ -0,0 +1,133 @@
+/**
+ * Permalinks: the whole setup as URL query parameters, so a link
+ * reproduces what was on screen (vercel.json serves index.html for any
+ * path, so the query string is all we need).
+ *
+ *   ?r=webgl&n=4096&lattice=fcc&palette=viridis&volume=temperature
+ *   &obs=speed&seed=12345&fixed=1&cam=0.42_0.3_1_0_0_0&springK=12&...
+ *
+ * A custom palette is palette=custom&stops=0-020412_0.5-ffaa00_1-ffffff
+ * (position-hex pairs), plus smooth=1 for a smoothstepped ramp. Unknown
+ * keys and out-of-range values are dropped on decode, so a hand-edited or
+ * stale link still loads.
+ */
+
+import { PARAM_DEFS } from './sim-params.js';
+import { LATTICES } from './lattice.js';
+import { PALETTES, VOLUME_MODES, hexToRgb, rgbToHex } from './color-map.js';
+import { OBSERVABLES } from './observables.js';
+import { parseSeed } from './random.js';
+
+export const RENDERERS = ['webgpu', 'webgl'];
+
+/**
+ * @typedef {{ theta: number, phi: number, zoom: number, center: number[] }} CameraPose
+ * @typedef {{
+ *   renderer?: string, particleCount?: number, lattice?: string,
+ *   palette?: string | { stops: number[][], smooth?: boolean }, volumeMode?: string,
+ *   observable?: string, seed?: number, fixedDt?: boolean,
+ *   camera?: CameraPose, params?: Record<string, number>,
+ * }} LinkState
+ */
+
+/**
+ * @param {LinkState} state
+ * @returns {string} query string without the leading '?'
+ */
+export function encodePermalink(state) {
+  const q = new URLSearchParams();
+  if (state.renderer) q.set('r', state.renderer);
+  if (state.particleCount) q.set('n', String(state.particleCount));
+  if (state.lattice) q.set('lattice', state.lattice);
+  if (typeof state.palette === 'string') {
+    q.set('palette', state.palette);
+  } else if (state.palette) {
+    q.set('palette', 'custom');
+    q.set('stops', state.palette.stops
+      .map(([pos, r, g, b]) => `${round(pos, 3)}-${rgbToHex(r, g, b).slice(1)}`)
+      .join('_'));
+    if (state.palette.smooth) q.set('smooth', '1');
+  }
+  if (state.volumeMode) q.set('volume', state.volumeMode);
+  if (state.observable) q.set('obs', state.observable);
+  if (state.seed !== undefined) q.set('seed', String(state.seed));
+  if (state.fixedDt) q.set('fixed', '1');
+  if (state.camera) {
+    const { theta, phi, zoom, center } = state.camera;
+    q.set('cam', [theta, phi, zoom, ...center].map(v => round(v, 3)).join('_'));
+  }
+  for (const def of PARAM_DEFS) {
+    const v = state.params?.[def.key];
+    if (v !== undefined) q.set(def.key, String(round(v, 6)));
+  }
+  return q.toString();
+}
+
+/**
+ * @param {string} search - location.search (with or without '?')
+ * @returns {LinkState} only the fields present and valid in the link
+ */
+export function decodePermalink(search) {
+  const q = new URLSearchParams(search);
+  const state = {};
+
+  const r = q.get('r');
+  if (RENDERERS.includes(r)) state.renderer = r;
+
+  const n = Number(q.get('n'));
+  if (q.has('n') && Number.isInteger(n) && n > 0) state.particleCount = n;
+
+  const lattice = q.get('lattice');
+  if (Object.hasOwn(LATTICES, lattice)) state.lattice = lattice;
+
+  const palette = q.get('palette');
+  if (palette === 'custom') {
+    const stops = decodeStops(q.get('stops'));
+    if (stops) state.palette = q.get('smooth') === '1' ? { stops, smooth: true } : { stops };
+  } else if (Object.hasOwn(PALETTES, palette)) {
+    state.palette = palette;
+  }
+
+  const volume = q.get('volume');
+  if (Object.hasOwn(VOLUME_MODES, volume)) state.volumeMode = volume;
+
+  const obs = q.get('obs');
+  if (Object.hasOwn(OBSERVABLES, obs)) state.observable = obs;
+
+  if (q.has('seed')) state.seed = parseSeed(q.get('seed'));
+  if (q.get('fixed') === '1') state.fixedDt = true;
+
+  const cam = (q.get('cam') || '').split('_').map(Number);
+  if (cam.length === 6 && cam.every(Number.isFinite)) {
+    state.camera = { theta: cam[0], phi: cam[1], zoom: cam[2], center: cam.slice(3) };
+  }
+
+  const params = {};
+  for (const def of PARAM_DEFS) {
+    const v = Number(q.get(def.key));
+    if (q.has(def.key) && Number.isFinite(v)) params[def.key] = v;
+  }
+  if (Object.keys(params).length > 0) state.params = params;
+
+  return state;
+}
+
+/** "0-020412_1-ffffff" -> [[0, r, g, b], [1, r, g, b]], or null if malformed. */
+function decodeStops(text) {
+  if (!text) return null;
+  const stops = [];
+  for (const part of text.split('_')) {
+    const m = /^([0-9.]+)-([0-9a-fA-F]{6})$/.exec(part);
+    if (!m) return null;
+    const pos = Number(m[1]);
+    if (!(pos >= 0 && pos <= 1)) return null;
+    stops.push([pos, ...hexToRgb(m[2])]);
+  }
+  if (stops.length < 2) return null;
+  stops.sort((a, b) => a[0] - b[0]);
+  return stops;
+}
+
+function round(v, digits) {
+  return Number(v.toFixed(digits));
+}
\ No newline at end of file
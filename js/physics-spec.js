@@ -0,0 +1,74 @@
+/**
+ * Physics specification — the one model both backends implement.
+ * physics.wgsl (GPU) and sim-core.js (CPU) run these steps, in this order,
+ * for every particle each step of h = STEP_DT / substeps (unit mass,
+ * t = t_order). Frames are cut into whole steps by a StepAccumulator.
+ *
+ *   1. F = k·t·(home − x) + F_LJ                      (F_LJ only when ε > 0)
+ *   2. g = noiseVector(seed, step, i)                 (N(0,1) per component)
+ *      thermostat: v = c1·v + c2·g + F·h,  c1 = e^(−γ·h), c2 = √(kT·(1 − c1²))
+ *      otherwise:  v = d·v + F·h + noise·(1 − t)·√(h·STEP_DT)·g
+ *                  d = damping(t)^(h / STEP_DT)       (damping is per 1/60 s)
+ *   3. |v| clamped to MAX_SPEED                       (only with the speed cap on)
+ *   4. x += v·h                                       (Euler: with v from before 2)
+ *   5. beyond BOUNDARY_RADIUS: v −= BOUNDARY_STIFFNESS·(|x| − R)·x̂·h
+ *   6. speed = |v|                                    (what the histograms bin)
+ *
+ * Velocity Verlet first runs a kick-drift stage, v += ½·F(x)·h then
+ * x += v·h, and then steps 1–6 with F·h halved and step 4 skipped, so
+ * forces are evaluated at both ends of the step.
+ *
+ * The constants are also written out in physics.wgsl; keep them in step.
+ */
+
+import { randNormal } from './random.js';
+
+export const DEFAULT_PARTICLE_COUNT = 2048;
+export const MAX_SPEED = 8.0;
+export const BOUNDARY_RADIUS = 4.5;
+export const BOUNDARY_STIFFNESS = 2.0;
+export const NOISE_SEEDS_PER_PARTICLE = 6; // three Box-Muller pairs
+export const STEP_DT = 1 / 60; // one physics step with substeps = 1
+
+// Values of the integrator parameter
+export const Integrator = {
+  EULER:         0,
+  SEMI_IMPLICIT: 1,
+  VERLET:        2,
+};
+
+/** Step size for a substep count (non-integers are rounded, minimum 1). */
+export function stepSize(substeps) {
+  return STEP_DT / Math.max(1, Math.round(substeps));
+}
+
+/**
+ * Velocity kept over a step of h for a damping defined per STEP_DT, so
+ * substeps compound to the same decay per second.
+ */
+export function dampingFactor(damping, h) {
+  return Math.pow(damping, h / STEP_DT);
+}
+
+/**
+ * Noise impulse scale for a step of h: grows with √h like a Wiener
+ * increment, so substeps don't weaken the Brownian kicks.
+ */
+export function noiseScale(h) {
+  return Math.sqrt(h * STEP_DT);
+}
+
+/**
+ * Gaussian noise vector for particle `idx` — the same hash stream
+ * physics.wgsl draws from (up to f32 rounding).
+ * @param {number} base - stepSeed(seed, step), computed once per step
+ * @param {number} idx
+ * @param {number[] | Float64Array} out - receives [gx, gy, gz]
+ */
+export function noiseVector(base, idx, out) {
+  const s = (base + idx * NOISE_SEEDS_PER_PARTICLE) >>> 0;
+  out[0] = randNormal(s, (s + 1) >>> 0);
+  out[1] = randNormal((s + 2) >>> 0, (s + 3) >>> 0);
+  out[2] = randNormal((s + 4) >>> 0, (s + 5) >>> 0);
+  return out;
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * Seeded randomness shared by both backends.
+ * pcg() is a bit-exact mirror of the PCG hash in physics.wgsl, so a seed and
+ * a step index pick the same noise stream on the GPU and the CPU.
+ */
+
+/** PCG hash (u32 -> u32), identical to pcg() in physics.wgsl. */
+export function pcg(v) {
+  const state = (Math.imul(v >>> 0, 747796405) + 2891336453) >>> 0;
+  const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state) >>> 0, 277803737) >>> 0;
+  return ((word >>> 22) ^ word) >>> 0;
+}
+
+/** Base seed for one physics step — same expression as physics.wgsl. */
+export function stepSeed(seed, step) {
+  return pcg((seed ^ pcg(step)) >>> 0);
+}
+
+/** Uniform [0, 1] from one hashed seed (rand01 in physics.wgsl). */
+export function rand01(seed) {
+  return pcg(seed) / 4294967295;
+}
+
+/** Box-Muller standard normal from two hashed seeds (randNormal in physics.wgsl). */
+export function randNormal(seed1, seed2) {
+  const u1 = Math.max(rand01(seed1), 0.0001);
+  const u2 = rand01(seed2);
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(6.2831853 * u2);
+}
+
+/**
+ * Turn user input into a u32 seed. Plain integers are used as-is (mod 2^32),
+ * anything else is hashed (FNV-1a) so `?seed=demo` works too.
+ * @param {string | number} input
+ * @returns {number}
+ */
+export function parseSeed(input) {
+  const text = String(input).trim();
+  if (/^\d+$/.test(text)) return Number(BigInt(text) % 4294967296n);
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/** Fresh seed for runs that didn't ask for one. */
+export function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * Run recorder — captures per-frame entropy data for offline analysis
+ * and exports it as CSV or JSON. Backend-agnostic: it only sees what
+ * main.js hands it from getObservables() and the EntropyCalculator.
+ * The speed bins can change mid-run (settings, or the adaptive scheme every
+ * readback), so each frame keeps the Binning its histogram was taken with;
+ * the bin settings themselves are in meta.params.
+ */
+
+import { downloadBlob, fileStamp } from './download.js';
+
+// ~10 minutes at 60 fps; recording stops itself past this
+const MAX_FRAMES = 36000;
+
+export class RunRecorder {
+  /** @param {number} maxFrames - recording stops itself past this many frames */
+  constructor(maxFrames = MAX_FRAMES) {
+    this.maxFrames = maxFrames;
+    this.frames = [];
+    this.meta = null;
+    this.recording = false;
+    this.lastSource = null; // histogram array last copied
+    this.lastCopy = null;
+    this.lastBinning = null;
+  }
+
+  get hasData() {
+    return this.frames.length > 0;
+  }
+
+  /**
+   * Begin a new run, discarding any previous one.
+   * @param {object} meta - run description stored alongside the frames
+   */
+  start(meta = {}) {
+    this.frames = [];
+    this.meta = { ...meta, startedAt: new Date().toISOString() };
+    this.lastSource = null;
+    this.lastCopy = null;
+    this.lastBinning = null;
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Append one frame. The histogram is copied only when the backend hands
+   * over a new one (WebGPU readback lags a few frames behind); repeated
+   * frames share the copy, and the binning that came with it.
+   * @param {{ time: number, tOrder: number, state: string,
+   *           histogram: Uint32Array | null,
+   *           binning: import('./binning.js').Binning | null,
+   *           entropy: number, normalized: number }} frame
+   */
+  record(frame) {
+    if (!this.recording) return;
+    if (frame.histogram !== this.lastSource) {
+      this.lastSource = frame.histogram;
+      this.lastCopy = frame.histogram ? Array.from(frame.histogram) : null;
+      this.lastBinning = frame.histogram && frame.binning ? { ...frame.binning } : null;
+    }
+    this.frames.push({
+      time: frame.time,
+      tOrder: frame.tOrder,
+      state: frame.state,
+      entropy: frame.entropy,
+      normalized: frame.normalized,
+      histogram: this.lastCopy,
+      binning: this.lastBinning,
+    });
+    if (this.frames.length >= this.maxFrames) this.stop();
+  }
+
+  toJSON() {
+    return JSON.stringify({ meta: this.meta, frames: this.frames });
+  }
+
+  /**
+   * One row per frame; histogram bins spread over bin_0..bin_{n-1}, after
+   * the speed bins they were taken with (speed_bins, speed_max, speed_log;
+   * edges as binning.js speedEdges).
+   */
+  toCSV() {
+    let numBins = 0;
+    for (const f of this.frames) {
+      if (f.histogram) numBins = Math.max(numBins, f.histogram.length);
+    }
+    const header = ['time', 't_order', 'state', 'entropy', 'normalized_entropy', 'speed_bins', 'speed_max', 'speed_log'];
+    for (let i = 0; i < numBins; i++) header.push(`bin_${i}`);
+
+    const lines = [header.join(',')];
+    for (const f of this.frames) {
+      const row = [f.time.toFixed(6), f.tOrder.toFixed(6), f.state, f.entropy.toFixed(6), f.normalized.toFixed(6)];
+      const b = f.binning;
+      row.push(b ? b.bins : '', b ? b.maxSpeed.toFixed(6) : '', b ? (b.log ? 1 : 0) : '');
+      for (let i = 0; i < numBins; i++) row.push(f.histogram ? (f.histogram[i] ?? '') : '');
+      lines.push(row.join(','));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Save the run through a temporary download link.
+   * @param {'csv' | 'json'} format
+   */
+  download(format) {
+    const text = format === 'csv' ? this.toCSV() : this.toJSON();
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const stamp = this.meta?.startedAt ? this.meta.startedAt.replace(/[:.]/g, '-') : fileStamp();
+    downloadBlob(new Blob([text], { type }), `entropy-run-${stamp}.${format}`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Simulation clock: turns wall-clock frame time into the dt that the
+ * state machine, camera drift and physics step by. Handles pause, single
+ * stepping, time scaling and fixed-dt mode in one place so all three stay
+ * in lockstep. StepAccumulator then cuts each frame's dt into whole
+ * fixed physics steps, so the trajectory doesn't depend on frame rate.
+ */
+
+import { STEP_DT } from './physics-spec.js';
+
+export const FIXED_DT = 1 / 60;  // fixed-dt mode: trajectories depend only on seed + frame count
+export const MAX_DT = 1 / 20;    // clamp so a tab switch doesn't explode the physics
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 4;
+export const MAX_FRAME_STEPS = 64; // physics steps per frame before time is dropped
+
+/**
+ * Highest time scale at which even the longest frame (MAX_DT) fits in
+ * MAX_FRAME_STEPS physics steps of STEP_DT / substeps, so no time is
+ * dropped (one step spare for the carried-over remainder). Rounded down
+ * to a tenth, the time-scale slider's step.
+ * @param {number} substeps
+ */
+export function maxTimeScale(substeps) {
+  const fits = (MAX_FRAME_STEPS - 1) * STEP_DT / (MAX_DT * substeps);
+  return Math.min(MAX_TIME_SCALE, Math.floor(fits * 10) / 10);
+}
+
+export class SimClock {
+  /** @param {{ fixedDt?: boolean, substeps?: number }} options */
+  constructor({ fixedDt = false, substeps = 1 } = {}) {
+    this.fixedDt = fixedDt;
+    this.substeps = substeps;
+    this.timeScale = 1;
+    this.paused = false;
+    this.pendingSteps = 0;
+    this.stepping = false; // the last tick was a single step
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.pendingSteps = 0;
+  }
+
+  toggle() {
+    if (this.paused) this.resume();
+    else this.pause();
+    return this.paused;
+  }
+
+  /** Advance exactly one frame on the next tick (pauses if running). */
+  step() {
+    this.paused = true;
+    this.pendingSteps++;
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), maxTimeScale(this.substeps));
+  }
+
+  /** Follow the physics substeps; lowers the time scale if it no longer fits. */
+  setSubsteps(substeps) {
+    this.substeps = substeps;
+    this.setTimeScale(this.timeScale);
+  }
+
+  /**
+   * @param {number} wallDt - seconds since the last frame
+   * @returns {number} simulation dt for this frame; 0 while paused.
+   *   Sets stepping when the frame is a single step, which the physics
+   *   then runs at least one step for, however small dt is
+   */
+  tick(wallDt) {
+    this.stepping = this.paused;
+    if (this.paused) {
+      if (this.pendingSteps === 0) return 0;
+      this.pendingSteps--;
+    }
+    const base = this.fixedDt ? FIXED_DT : Math.min(wallDt, MAX_DT);
+    return base * this.timeScale;
+  }
+}
+
+export class StepAccumulator {
+  constructor() {
+    this.remainder = 0; // seconds not yet stepped
+  }
+
+  /**
+   * @param {number} dt - frame time to cover
+   * @param {number} h - fixed step size
+   * @param {number} minSteps - run at least this many (a single-step press
+   *   shorter than h); the time run ahead comes out of the next frames
+   * @returns {number} whole steps of h to run now; the rest carries over
+   */
+  take(dt, h, minSteps = 0) {
+    this.remainder += dt;
+    // Tolerance so a frame of exactly k·h isn't lost to rounding
+    const due = Math.max(Math.floor(this.remainder / h + 1e-6), 0);
+    let steps = Math.max(due, minSteps);
+    if (steps > MAX_FRAME_STEPS) {
+      // Too far behind to catch up: drop the backlog rather than stall
+      steps = MAX_FRAME_STEPS;
+      this.remainder = 0;
+    } else if (steps > due) {
+      this.remainder -= steps * h; // negative: owed by the next frames
+    } else if (steps > 0) {
+      this.remainder = Math.max(0, this.remainder - steps * h);
+    }
+    return steps;
+  }
+
+  reset() {
+    this.remainder = 0;
+  }
+}
\ No newline at end of file
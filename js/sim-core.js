@@ -0,0 +1,246 @@
+/**
+ * Headless CPU simulation core — lattice, integration, histogramming and
+ * entropy with no DOM or GL. The WebGL2 fallback renders on top of it and
+ * scripts/simulate.js drives it from Node. Integration follows physics-spec.js.
+ *
+ * Particles are interleaved, PARTICLE_STRIDE floats each:
+ *   [x, y, z, vx, vy, vz, hx, hy, hz, speed]
+ */
+
+import { generateLattice, DEFAULT_LATTICE } from './lattice.js';
+import { SpatialHash, hashGridFor, ljSigmaFor, LJ_CUTOFF } from './spatial-hash.js';
+import {
+  binParticles, splatDensity, densityMoments, splitHistogram, GRID_VOXELS,
+} from './observables.js';
+import { EntropyCalculator } from './entropy-calculator.js';
+import { resolveBinning } from './binning.js';
+import { randomSeed, stepSeed } from './random.js';
+import { StepAccumulator } from './sim-clock.js';
+import {
+  DEFAULT_PARTICLE_COUNT, MAX_SPEED, BOUNDARY_RADIUS, BOUNDARY_STIFFNESS, Integrator,
+  noiseVector, stepSize, dampingFactor, noiseScale,
+} from './physics-spec.js';
+
+export const PARTICLE_STRIDE = 10;
+export const LAYOUT = { position: 0, velocity: 3, speed: 9 }; // float offsets in a particle
+
+export class Simulation {
+  /**
+   * @param {import('./sim-params.js').SimParams} params - shared physics parameters
+   * @param {{ particleCount?: number, lattice?: string, seed?: number }} options
+   */
+  constructor(params, { particleCount = DEFAULT_PARTICLE_COUNT, lattice = DEFAULT_LATTICE, seed = randomSeed() } = {}) {
+    this.params = params;
+    this.latticeType = lattice;
+    this.particleCount = particleCount;
+    this.nearestNeighbor = 0; // lattice nearest-neighbour distance (sets LJ sigma)
+    this.seed = seed >>> 0;
+    this.step = 0;            // physics steps since reset; seeds the noise with `seed`
+    this.time = 0;            // simulated seconds since reset
+    this.accumulator = new StepAccumulator();
+    this.hash = new SpatialHash();
+    this.hashOverflow = 0;    // particles the hash dropped from full cells over the last advance
+    this.particles = null;    // Float32Array, PARTICLE_STRIDE per particle
+    this.pairForces = null;   // Float32Array: [fx, fy, fz] * N
+    this.observables = null;
+    this.trackDensity = false; // CPU splat + reduction only when positional entropy is wanted
+    this.trackDensityGrid = false; // splat only, for density coloring (no reduction)
+    this.density = null;       // Uint32Array(GRID_VOXELS), allocated on first use
+    this.entropyCalc = new EntropyCalculator();
+    this._initParticles();
+  }
+
+  _initParticles() {
+    const n = this.particleCount;
+    this.particles = new Float32Array(n * PARTICLE_STRIDE);
+    this.pairForces = new Float32Array(n * 3);
+    const { positions, nearestNeighbor } = generateLattice(this.latticeType, n);
+    this.nearestNeighbor = nearestNeighbor;
+    for (let i = 0; i < n; i++) {
+      const base = i * PARTICLE_STRIDE;
+      const px = positions[i * 3], py = positions[i * 3 + 1], pz = positions[i * 3 + 2];
+      this.particles[base] = px; this.particles[base+1] = py; this.particles[base+2] = pz;
+      this.particles[base+6] = px; this.particles[base+7] = py; this.particles[base+8] = pz;
+    }
+  }
+
+  /** Resize; particles restart at rest on the current lattice. */
+  setParticleCount(count) {
+    this.particleCount = count;
+    this.reset();
+  }
+
+  /**
+   * Put every particle back at rest on its lattice site and restart the
+   * step counter, so the run replays exactly for the same seed.
+   */
+  reset() {
+    this.step = 0;
+    this.time = 0;
+    this.accumulator.reset();
+    this.observables = null;
+    this._initParticles();
+  }
+
+  /** Choose the noise stream (u32) and restart from the lattice. */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.reset();
+  }
+
+  /**
+   * Switch crystal structure. Only home positions change, so particles
+   * melt out of / re-form into the new lattice under the springs.
+   */
+  setLattice(type) {
+    const { positions, nearestNeighbor } = generateLattice(type, this.particleCount);
+    this.latticeType = type;
+    this.nearestNeighbor = nearestNeighbor;
+    for (let i = 0; i < this.particleCount; i++) {
+      const base = i * PARTICLE_STRIDE;
+      this.particles[base+6] = positions[i * 3];
+      this.particles[base+7] = positions[i * 3 + 1];
+      this.particles[base+8] = positions[i * 3 + 2];
+    }
+  }
+
+  /**
+   * Advance by a frame of dt in fixed steps of h = STEP_DT / substeps (the
+   * remainder carries over to the next frame), then rebuild the observables.
+   * @param {number} dt - seconds
+   * @param {number} tOrder - 1 = ordered (springs), 0 = chaos (noise)
+   * @param {number} [steps] - run exactly this many steps instead (replay)
+   * @returns {number} physics steps taken
+   */
+  advance(dt, tOrder, steps = this.accumulator.take(dt, stepSize(this.params.substeps))) {
+    const h = stepSize(this.params.substeps);
+    this.hashOverflow = 0;
+    for (let i = 0; i < steps; i++) this._step(h, tOrder);
+    this.measure();
+    return steps;
+  }
+
+  /** Lennard-Jones forces from a snapshot of current positions (same as the GPU hash). */
+  _pairForces() {
+    const sigma = ljSigmaFor(this.nearestNeighbor);
+    this.hash.build(this.particles, PARTICLE_STRIDE, this.particleCount, hashGridFor(LJ_CUTOFF * sigma));
+    this.hashOverflow += this.hash.overflow;
+    this.hash.computeLJForces(this.particles, PARTICLE_STRIDE, this.particleCount,
+      this.params.ljEpsilon, sigma, this.pairForces);
+  }
+
+  /** One integrator step of h seconds (physics-spec.js). */
+  _step(h, tOrder) {
+    const p = this.particles;
+    const springK = this.params.springK;
+    const epsilon = this.params.ljEpsilon;
+    const integrator = this.params.integrator;
+    const pf = this.pairForces;
+
+    if (integrator === Integrator.VERLET) {
+      // Kick-drift with the forces at the start of the step
+      if (epsilon > 0) this._pairForces();
+      for (let i = 0; i < this.particleCount; i++) {
+        const b = i * PARTICLE_STRIDE;
+        for (let a = 0; a < 3; a++) {
+          let f = (p[b+6+a] - p[b+a]) * springK * tOrder;
+          if (epsilon > 0) f += pf[i * 3 + a];
+          p[b+3+a] += 0.5 * f * h;
+          p[b+a] += p[b+3+a] * h;
+        }
+      }
+    }
+
+    const kick = integrator === Integrator.VERLET ? 0.5 * h : h;
+    const damping = dampingFactor(this.params.dampingAt(tOrder), h);
+    const noise = this.params.noiseStrength * (1 - tOrder) * noiseScale(h);
+    const maxSpeed = this.params.speedCap ? MAX_SPEED : Infinity;
+    const thermostat = this.params.thermostat !== 0;
+    // Langevin (Ornstein-Uhlenbeck) coefficients, unit mass
+    const c1 = Math.exp(-this.params.thermostatGamma * h);
+    const c2 = Math.sqrt(this.params.temperature * (1 - c1 * c1));
+    if (epsilon > 0) this._pairForces();
+
+    // Noise stream for this step, indexed per particle (physics-spec.js)
+    const base = stepSeed(this.seed, this.step++);
+    const g = [0, 0, 0];
+    const v0 = [0, 0, 0];
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const b = i * PARTICLE_STRIDE;
+      v0[0] = p[b+3]; v0[1] = p[b+4]; v0[2] = p[b+5];
+
+      // Same Gaussian drives Brownian noise and the Langevin kick
+      noiseVector(base, i, g);
+      for (let a = 0; a < 3; a++) {
+        // Deterministic forces: spring toward home + optional pair forces
+        let f = (p[b+6+a] - p[b+a]) * springK * tOrder;
+        if (epsilon > 0) f += pf[i * 3 + a];
+        p[b+3+a] = thermostat
+          ? p[b+3+a] * c1 + g[a] * c2 + f * kick
+          : p[b+3+a] * damping + f * kick + g[a] * noise;
+      }
+
+      // Clamp
+      const spd = Math.sqrt(p[b+3]**2 + p[b+4]**2 + p[b+5]**2);
+      if (spd > maxSpeed) {
+        const s = maxSpeed / spd;
+        p[b+3] *= s; p[b+4] *= s; p[b+5] *= s;
+      }
+
+      // Drift (Verlet already moved in its first stage)
+      if (integrator === Integrator.EULER) {
+        p[b] += v0[0] * h; p[b+1] += v0[1] * h; p[b+2] += v0[2] * h;
+      } else if (integrator === Integrator.SEMI_IMPLICIT) {
+        p[b] += p[b+3] * h; p[b+1] += p[b+4] * h; p[b+2] += p[b+5] * h;
+      }
+
+      // Soft boundary
+      const distC = Math.sqrt(p[b]**2 + p[b+1]**2 + p[b+2]**2);
+      if (distC > BOUNDARY_RADIUS) {
+        const push = (distC - BOUNDARY_RADIUS) * BOUNDARY_STIFFNESS * h / distC;
+        p[b+3] -= p[b] * push;
+        p[b+4] -= p[b+1] * push;
+        p[b+5] -= p[b+2] * push;
+      }
+
+      // Speed after the boundary kick, as on the GPU
+      p[b+9] = Math.sqrt(p[b+3]**2 + p[b+4]**2 + p[b+5]**2);
+    }
+
+    this.time += h;
+  }
+
+  /**
+   * Rebuild histograms (same bins as histogram.wgsl, from the params'
+   * binning) and, if tracked, the density grid and its moments.
+   */
+  measure() {
+    const binning = resolveBinning(this.params, this.observables?.speedMax ?? 0);
+    const hist = binParticles(this.particles, PARTICLE_STRIDE, this.particleCount, LAYOUT, binning);
+    let density = null;
+    if (this.trackDensity || this.trackDensityGrid) {
+      this.density = splatDensity(this.particles, PARTICLE_STRIDE, this.particleCount, LAYOUT,
+        this.density || new Uint32Array(GRID_VOXELS));
+      if (this.trackDensity) density = densityMoments(this.density);
+    }
+    this.observables = { ...splitHistogram(hist, binning.bins), density, binning, hashOverflow: this.hashOverflow };
+    return this.observables;
+  }
+
+  /**
+   * Shannon entropy of one observable in the current state.
+   * Positional entropy needs trackDensity (it is switched on here if off).
+   * @param {string} key - key of OBSERVABLES
+   * @returns {{ entropy: number, normalized: number }}
+   */
+  entropy(key = 'speed') {
+    if (key === 'position' && !this.trackDensity) {
+      this.trackDensity = true;
+      this.measure();
+    }
+    const obs = this.observables || this.measure();
+    this.entropyCalc.setObservable(key);
+    return this.entropyCalc.computeObservables(obs);
+  }
+}
\ No newline at end of file
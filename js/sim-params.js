@@ -0,0 +1,75 @@
+/**
+ * Shared simulation parameters — the single source of truth for physics
+ * constants and for how speeds are binned for entropy (binning.js). Both
+ * renderers read from one instance every frame, so changes from the
+ * control panel take effect live.
+ */
+
+import { DEFAULT_SPEED_BINS, MAX_SPEED_BINS } from './binning.js';
+
+// Slider metadata + defaults. Order here is display order in the panel.
+// type 'toggle' renders as a checkbox and holds 0/1; type 'select' renders
+// as a dropdown of options and holds the option index.
+export const PARAM_DEFS = [
+  { key: 'springK',         label: 'Spring k',        min: 0,   max: 40,  step: 0.5,    value: 12.0 },
+  { key: 'noiseStrength',   label: 'Noise',           min: 0,   max: 16,  step: 0.1,    value: 4.0 },
+  { key: 'dampingOrdered',  label: 'Damping (order)', min: 0.8, max: 1.0, step: 0.001,  value: 0.97 },
+  { key: 'dampingChaos',    label: 'Damping (chaos)', min: 0.9, max: 1.0, step: 0.0005, value: 0.999 },
+  { key: 'ljEpsilon',       label: 'LJ ε (0 = off)',  min: 0,   max: 4,   step: 0.05,   value: 0 },
+  { key: 'thermostat',      label: 'Thermostat',      min: 0,   max: 1,   step: 1,      value: 0, type: 'toggle' },
+  { key: 'temperature',     label: 'Temperature kT',  min: 0,   max: 4,   step: 0.05,   value: 1.0 },
+  { key: 'thermostatGamma', label: 'Friction γ',      min: 0.1, max: 20,  step: 0.1,    value: 2.0 },
+  { key: 'integrator',      label: 'Integrator',      min: 0,   max: 2,   step: 1,      value: 1, type: 'select',
+    options: ['Euler', 'Semi-implicit', 'Verlet'] }, // indices match physics-spec.js Integrator
+  { key: 'substeps',        label: 'Substeps',        min: 1,   max: 8,   step: 1,      value: 1 },
+  { key: 'speedCap',        label: 'Speed cap',       min: 0,   max: 1,   step: 1,      value: 1, type: 'toggle' },
+  { key: 'histBins',        label: 'Speed bins',      min: 8,   max: MAX_SPEED_BINS, step: 8, value: DEFAULT_SPEED_BINS },
+  { key: 'histMaxSpeed',    label: 'Speed range',     min: 1,   max: 32,  step: 0.5,    value: 8.0 },
+  { key: 'histScheme',      label: 'Binning',         min: 0,   max: 2,   step: 1,      value: 0, type: 'select',
+    options: ['Linear', 'Logarithmic', 'Adaptive'] }, // indices match binning.js BinScheme
+];
+
+export class SimParams {
+  constructor(overrides = {}) {
+    this.listeners = new Set();
+    for (const def of PARAM_DEFS) {
+      this[def.key] = def.value;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      this.set(key, value);
+    }
+  }
+
+  /**
+   * Set a parameter by key, clamped to its slider range.
+   * Unknown keys and non-finite values are ignored.
+   */
+  set(key, value) {
+    const def = PARAM_DEFS.find(d => d.key === key);
+    const v = Number(value);
+    if (!def || !Number.isFinite(v)) return;
+    const clamped = Math.min(Math.max(v, def.min), def.max);
+    this[key] = Number.isInteger(def.step) ? Math.round(clamped) : clamped;
+    for (const fn of this.listeners) fn(key, this[key]);
+  }
+
+  reset() {
+    for (const def of PARAM_DEFS) {
+      this.set(def.key, def.value);
+    }
+  }
+
+  /**
+   * Subscribe to changes. Returns an unsubscribe function.
+   * @param {(key: string, value: number) => void} fn
+   */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  /** Damping blended by t_order (1 = ordered, 0 = chaos). */
+  dampingAt(tOrder) {
+    return this.dampingChaos + (this.dampingOrdered - this.dampingChaos) * tOrder;
+  }
+}
\ No newline at end of file
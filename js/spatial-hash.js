@@ -0,0 +1,152 @@
+/**
+ * Uniform-grid spatial hash + Lennard-Jones pair forces (CPU reference).
+ * Mirrors the GPU passes in hash-insert.wgsl / hash-sort.wgsl / physics.wgsl:
+ * same grid, same 27-cell neighbour order, neighbours visited in ascending
+ * particle index, same per-pair force clamp, same HASH_MAX_PER_CELL cap.
+ * Past the cap the GPU keeps whichever particles its atomics reached first
+ * and this keeps the lowest indices, so the backends (and GPU runs from the
+ * same seed) only agree while no cell overflows; both count the drops
+ * (`overflow` here, hashOverflow in each readback) so a run can say when
+ * one did.
+ *
+ * F_ij = 24ε/r · [2(σ/r)^12 − (σ/r)^6] · r̂_ij, cut off at LJ_CUTOFF·σ.
+ */
+
+export const HASH_EXTENT = 5.0;        // grid covers [-5, 5]^3; outliers clamp to edge cells
+export const HASH_MAX_DIMS = 32;       // cells per axis cap (GPU memory budget)
+export const HASH_MAX_PER_CELL = 64;   // cell capacity (GPU memory budget); the rest are dropped
+export const LJ_CUTOFF = 2.5;          // cutoff radius in units of sigma
+export const LJ_MAX_FORCE = 100.0;     // per-pair clamp, keeps overlapping starts stable
+
+/**
+ * σ that puts the LJ minimum (2^(1/6)·σ) on the lattice nearest-neighbour
+ * distance, so the crystal sits at rest in its own potential well.
+ */
+export function ljSigmaFor(nearestNeighbor) {
+  return nearestNeighbor / Math.pow(2, 1 / 6);
+}
+
+/**
+ * Grid layout for a given interaction cutoff. Cells are at least `cutoff`
+ * wide so every partner lies in the 27 surrounding cells.
+ * @returns {{ origin: number, cellSize: number, dims: number }}
+ */
+export function hashGridFor(cutoff) {
+  const span = HASH_EXTENT * 2;
+  const dims = Math.max(1, Math.min(HASH_MAX_DIMS, Math.floor(span / cutoff)));
+  return { origin: -HASH_EXTENT, cellSize: span / dims, dims };
+}
+
+function cellCoord(v, grid) {
+  const c = Math.floor((v - grid.origin) / grid.cellSize);
+  return Math.min(Math.max(c, 0), grid.dims - 1);
+}
+
+export class SpatialHash {
+  constructor() {
+    this.grid = null;
+    this.cellStart = null;  // Uint32Array(cells + 1), CSR offsets
+    this.entries = null;    // Uint32Array(count), particle indices sorted by cell then index
+    this.overflow = 0;      // particles dropped from full cells by the last build
+  }
+
+  /**
+   * Bucket particles by cell (counting sort, so each cell lists indices
+   * ascending), at most HASH_MAX_PER_CELL per cell.
+   * @param {Float32Array} particles - interleaved particle data, xyz at offset 0
+   * @param {number} stride - floats per particle
+   * @param {number} count
+   * @param {{ origin: number, cellSize: number, dims: number }} grid
+   */
+  build(particles, stride, count, grid) {
+    const cells = grid.dims * grid.dims * grid.dims;
+    if (!this.cellStart || this.cellStart.length !== cells + 1) {
+      this.cellStart = new Uint32Array(cells + 1);
+    } else {
+      this.cellStart.fill(0);
+    }
+    if (!this.entries || this.entries.length < count) {
+      this.entries = new Uint32Array(count);
+    }
+    this.grid = grid;
+
+    const cellOf = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      const b = i * stride;
+      const cx = cellCoord(particles[b], grid);
+      const cy = cellCoord(particles[b + 1], grid);
+      const cz = cellCoord(particles[b + 2], grid);
+      const ci = cx + cy * grid.dims + cz * grid.dims * grid.dims;
+      cellOf[i] = ci;
+      this.cellStart[ci + 1]++;
+    }
+    this.overflow = 0;
+    for (let c = 0; c < cells; c++) {
+      const n = this.cellStart[c + 1];
+      if (n > HASH_MAX_PER_CELL) this.overflow += n - HASH_MAX_PER_CELL;
+      this.cellStart[c + 1] = this.cellStart[c] + Math.min(n, HASH_MAX_PER_CELL);
+    }
+    const fill = this.cellStart.slice(0, cells);
+    for (let i = 0; i < count; i++) {
+      const ci = cellOf[i];
+      if (fill[ci] < this.cellStart[ci + 1]) this.entries[fill[ci]++] = i;
+    }
+  }
+
+  /**
+   * Accumulate Lennard-Jones forces for every particle into `out` (xyz per particle).
+   * Positions are read from `particles` as they were at build() time.
+   */
+  computeLJForces(particles, stride, count, epsilon, sigma, out) {
+    const { dims } = this.grid;
+    const cutoff = LJ_CUTOFF * sigma;
+    const rc2 = cutoff * cutoff;
+    const s2 = sigma * sigma;
+    out.fill(0, 0, count * 3);
+
+    for (let i = 0; i < count; i++) {
+      const b = i * stride;
+      const px = particles[b], py = particles[b + 1], pz = particles[b + 2];
+      const gx = cellCoord(px, this.grid);
+      const gy = cellCoord(py, this.grid);
+      const gz = cellCoord(pz, this.grid);
+      let fx = 0, fy = 0, fz = 0;
+
+      for (let dz = -1; dz <= 1; dz++) {
+        const cz = gz + dz;
+        if (cz < 0 || cz >= dims) continue;
+        for (let dy = -1; dy <= 1; dy++) {
+          const cy = gy + dy;
+          if (cy < 0 || cy >= dims) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const cx = gx + dx;
+            if (cx < 0 || cx >= dims) continue;
+            const ci = cx + cy * dims + cz * dims * dims;
+            for (let s = this.cellStart[ci]; s < this.cellStart[ci + 1]; s++) {
+              const j = this.entries[s];
+              if (j === i) continue;
+              const jb = j * stride;
+              const ddx = px - particles[jb];
+              const ddy = py - particles[jb + 1];
+              const ddz = pz - particles[jb + 2];
+              const r2 = ddx * ddx + ddy * ddy + ddz * ddz;
+              if (r2 >= rc2 || r2 < 1e-8) continue;
+              const sr2 = s2 / r2;
+              const sr6 = sr2 * sr2 * sr2;
+              const r = Math.sqrt(r2);
+              // |F| = 24ε(2·sr^12 − sr^6)/r, clamped, then projected onto d/r
+              const mag = Math.min(Math.max(24 * epsilon * (2 * sr6 * sr6 - sr6) / r, -LJ_MAX_FORCE), LJ_MAX_FORCE) / r;
+              fx += ddx * mag;
+              fy += ddy * mag;
+              fz += ddz * mag;
+            }
+          }
+        }
+      }
+
+      out[i * 3] = fx;
+      out[i * 3 + 1] = fy;
+      out[i * 3 + 2] = fz;
+    }
+  }
+}
\ No newline at end of file
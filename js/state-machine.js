@@ -1,6 +1,10 @@
 /**
  * State machine: ORDERED <-> CHAOS with transition states.
  * t_order smoothly interpolates [0,1] to blend physics parameters.
+ * THERMOSTAT is a side mode: a Langevin thermostat (in the physics step)
+ * holds the system at a target temperature, and the springs weaken as it
+ * rises (tOrder = 1 − kT / MELT_TEMPERATURE), so the crystal softens and
+ * then melts rather than only vibrating about its sites.
  */
 
 export const State = {
@@ -8,8 +12,11 @@ export const State = {
   SHATTERING:    'SHATTERING',
   CHAOS:         'CHAOS',
   REASSEMBLING:  'REASSEMBLING',
+  THERMOSTAT:    'THERMOSTAT',
 };
 
+export const MELT_TEMPERATURE = 3; // kT at which temperature mode turns the springs off
+
 // Easing functions
 function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
 function easeInOutQuad(t) { return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; }
@@ -21,6 +28,17 @@ export class StateMachine {
     this.transitionProgress = 0; // 0..1 within current transition
     this.transitionDuration = 0; // seconds
     this.elapsed = 0;
+    this.durationScale = 1;      // > 1 stretches transitions (prefers-reduced-motion)
+    this.temperature = 0;        // thermostat target kT; sets the springs in THERMOSTAT
+  }
+
+  /** Back to the initial ordered state (used when a run restarts). */
+  reset() {
+    this.state = State.ORDERED;
+    this.tOrder = 1.0;
+    this.transitionProgress = 0;
+    this.transitionDuration = 0;
+    this.elapsed = 0;
   }
 
   get canClick() {
@@ -30,14 +48,34 @@ export class StateMachine {
   click() {
     if (this.state === State.ORDERED) {
       this.state = State.SHATTERING;
-      this.transitionDuration = 1.5;
+      this.transitionDuration = 1.5 * this.durationScale;
       this.transitionProgress = 0;
       this.elapsed = 0;
     } else if (this.state === State.CHAOS) {
       this.state = State.REASSEMBLING;
-      this.transitionDuration = 2.0;
+      this.transitionDuration = 2.0 * this.durationScale;
+      this.transitionProgress = 0;
+      this.elapsed = 0;
+    }
+  }
+
+  /** Follow the thermostat's target kT (springs relax toward 1 − kT / MELT_TEMPERATURE). */
+  setTemperature(kT) {
+    this.temperature = kT;
+  }
+
+  /**
+   * Enter or leave temperature mode. Leaving always lands in ORDERED with
+   * the springs at full strength, which pull a melted crystal back home.
+   */
+  setTemperatureMode(on) {
+    if (on && this.state !== State.THERMOSTAT) {
+      this.state = State.THERMOSTAT;
       this.transitionProgress = 0;
       this.elapsed = 0;
+    } else if (!on && this.state === State.THERMOSTAT) {
+      this.state = State.ORDERED;
+      this.tOrder = 1.0;
     }
   }
 
@@ -60,6 +98,10 @@ export class StateMachine {
         this.state = State.ORDERED;
         this.tOrder = 1.0;
       }
+    } else if (this.state === State.THERMOSTAT) {
+      // Ease the springs toward the strength the temperature allows
+      const target = Math.min(Math.max(1.0 - this.temperature / MELT_TEMPERATURE, 0.0), 1.0);
+      this.tOrder += (target - this.tOrder) * Math.min(dt * 2.0, 1.0);
     }
   }
 
@@ -69,6 +111,7 @@ export class StateMachine {
       case State.SHATTERING:   return 'SHATTERING';
       case State.CHAOS:        return 'CHAOS';
       case State.REASSEMBLING: return 'REASSEMBLING';
+      case State.THERMOSTAT:   return 'TEMPERATURE';
     }
   }
 
@@ -78,6 +121,10 @@ export class StateMachine {
     return '';
   }
 
+  get isThermostat() {
+    return this.state === State.THERMOSTAT;
+  }
+
   get isTransitioning() {
     return this.state === State.SHATTERING || this.state === State.REASSEMBLING;
   }
@@ -2,14 +2,375 @@
  * UI overlay manager — updates DOM elements from simulation state.
  */
 
+import { PARAM_DEFS } from './sim-params.js';
+import { OBSERVABLES } from './observables.js';
+import { CHART_WINDOWS } from './entropy-chart.js';
+import { hexToRgb, rgbToHex } from './color-map.js';
+
 export class UI {
   constructor() {
     this.entropyValue = document.getElementById('entropy-value');
+    this.entropyObservable = document.getElementById('entropy-observable');
     this.entropyBarFill = document.getElementById('entropy-bar-fill');
+    this.mbFit = document.getElementById('mb-fit');
+    this.mbKT = document.getElementById('mb-kt');
+    this.mbKL = document.getElementById('mb-kl');
+    this.entropyChartCanvas = document.getElementById('entropy-chart');
+    this.entropyChartWindow = document.getElementById('entropy-chart-window');
+    this.speedHistCanvas = document.getElementById('speed-hist');
+    this.speedHistLog = document.querySelector('#speed-hist-log input');
     this.stateLabel = document.getElementById('state-label');
     this.clickInstruction = document.getElementById('click-instruction');
     this.rendererBadge = document.getElementById('renderer-badge');
     this.loading = document.getElementById('loading');
+    this.controlsOptions = document.getElementById('controls-options');
+    this.controlsBody = document.getElementById('controls-body');
+  }
+
+  /**
+   * Fill the entropy panel's observable picker.
+   * @param {string} value - initially selected observable key
+   * @param {(key: string) => void} onChange
+   */
+  buildObservableSelect(value, onChange) {
+    for (const [key, def] of Object.entries(OBSERVABLES)) {
+      const el = document.createElement('option');
+      el.value = key;
+      el.textContent = def.label;
+      this.entropyObservable.appendChild(el);
+    }
+    this.entropyObservable.value = value;
+    this.entropyObservable.addEventListener('change', () => onChange(this.entropyObservable.value));
+  }
+
+  /**
+   * Fill the chart's time-window picker.
+   * @param {number} seconds - initially selected window
+   * @param {(seconds: number) => void} onChange
+   */
+  buildChartWindowSelect(seconds, onChange) {
+    for (const s of CHART_WINDOWS) {
+      const el = document.createElement('option');
+      el.value = String(s);
+      el.textContent = `last ${s}s`;
+      this.entropyChartWindow.appendChild(el);
+    }
+    this.entropyChartWindow.value = String(seconds);
+    this.entropyChartWindow.addEventListener('change', () => onChange(Number(this.entropyChartWindow.value)));
+  }
+
+  /**
+   * Wire the speed histogram's log-scale checkbox.
+   * @param {boolean} checked
+   * @param {(on: boolean) => void} onChange
+   */
+  buildHistogramScaleToggle(checked, onChange) {
+    this.speedHistLog.checked = checked;
+    this.speedHistLog.addEventListener('change', () => onChange(this.speedHistLog.checked));
+  }
+
+  /**
+   * Add a labelled <select> above the sliders.
+   * @param {string} label
+   * @param {Array<{ value: string, label: string }>} options
+   * @param {string} value - initially selected value
+   * @param {(value: string) => void} onChange
+   * @returns {HTMLSelectElement}
+   */
+  addSelect(label, options, value, onChange) {
+    const row = document.createElement('label');
+    row.className = 'control-row';
+
+    const name = document.createElement('span');
+    name.className = 'control-name';
+    name.textContent = label;
+
+    const select = document.createElement('select');
+    select.className = 'control-select';
+    for (const opt of options) {
+      const el = document.createElement('option');
+      el.value = opt.value;
+      el.textContent = opt.label;
+      select.appendChild(el);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+
+    row.append(name, select);
+    this.controlsOptions.appendChild(row);
+    return select;
+  }
+
+  /**
+   * Add a labelled text field above the sliders. onCommit fires on Enter
+   * or blur, not on every keystroke.
+   * @returns {HTMLInputElement}
+   */
+  addInput(label, value, onCommit) {
+    const row = document.createElement('label');
+    row.className = 'control-row';
+
+    const name = document.createElement('span');
+    name.className = 'control-name';
+    name.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'control-input';
+    input.spellcheck = false;
+    input.value = value;
+    input.addEventListener('change', () => onCommit(input.value));
+
+    row.append(name, input);
+    this.controlsOptions.appendChild(row);
+    return input;
+  }
+
+  /**
+   * Add a labelled checkbox above the sliders.
+   * @returns {HTMLInputElement}
+   */
+  addToggle(label, checked, onChange) {
+    const row = document.createElement('label');
+    row.className = 'control-row control-toggle';
+
+    const name = document.createElement('span');
+    name.className = 'control-name';
+    name.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+
+    row.append(name, input);
+    this.controlsOptions.appendChild(row);
+    return input;
+  }
+
+  /**
+   * Add a labelled slider with a live readout above the physics sliders.
+   * @param {{ min: number, max: number, step: number, value: number }} range
+   * @param {(value: number) => string} format - readout text
+   * @param {(value: number) => void} onInput
+   * @returns {{ input: HTMLInputElement, set: (value: number) => void }}
+   */
+  addSlider(label, range, format, onInput) {
+    const row = document.createElement('label');
+    row.className = 'control-row';
+
+    const name = document.createElement('span');
+    name.className = 'control-name';
+    name.textContent = label;
+
+    const value = document.createElement('span');
+    value.className = 'control-value';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+
+    const set = (v) => {
+      input.value = v;
+      value.textContent = format(v);
+    };
+    set(range.value);
+    input.addEventListener('input', () => {
+      const v = Number(input.value);
+      value.textContent = format(v);
+      onInput(v);
+    });
+
+    row.append(name, value, input);
+    this.controlsOptions.appendChild(row);
+    return { input, set };
+  }
+
+  /**
+   * Stop editor for a custom palette: one row per stop (position + color),
+   * plus add/remove. Every edit calls onChange with the stops sorted by
+   * position, positions clamped to [0, 1] and the ends pinned to 0 and 1,
+   * keeping the interpolation (smooth) of the palette it started from.
+   * Hidden until shown by the caller.
+   * @param {(palette: { stops: number[][], smooth: boolean }) => void} onChange -
+   *   stops are [pos, r, g, b] rows
+   * @returns {{ element: HTMLElement,
+   *             setStops: (stops: number[][], smooth?: boolean) => void }}
+   */
+  buildPaletteEditor(onChange) {
+    const element = document.createElement('div');
+    element.className = 'palette-editor';
+    element.hidden = true;
+    const list = document.createElement('div');
+    let rows = [];
+    let smooth = false;
+
+    const emit = () => {
+      for (const r of rows) {
+        const pos = Math.min(Math.max(Number(r.pos.value) || 0, 0), 1);
+        if (Number(r.pos.value) !== pos) r.pos.value = pos.toFixed(2);
+      }
+      const stops = rows
+        .map(r => [Number(r.pos.value), ...hexToRgb(r.color.value)])
+        .sort((a, b) => a[0] - b[0]);
+      stops[0] = [0, ...stops[0].slice(1)];
+      stops[stops.length - 1] = [1, ...stops[stops.length - 1].slice(1)];
+      onChange({ stops, smooth });
+    };
+
+    const addRow = ([pos, r, g, b]) => {
+      const row = document.createElement('div');
+      row.className = 'palette-stop';
+      const posInput = document.createElement('input');
+      posInput.type = 'number';
+      posInput.min = 0;
+      posInput.max = 1;
+      posInput.step = 0.01;
+      posInput.value = pos.toFixed(2);
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = rgbToHex(r, g, b);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'control-button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', 'Remove stop');
+
+      const entry = { row, pos: posInput, color: colorInput };
+      posInput.addEventListener('change', emit);
+      colorInput.addEventListener('input', emit);
+      remove.addEventListener('click', () => {
+        if (rows.length <= 2) return; // a ramp needs two ends
+        rows = rows.filter(e => e !== entry);
+        row.remove();
+        emit();
+      });
+
+      row.append(posInput, colorInput, remove);
+      list.appendChild(row);
+      rows.push(entry);
+    };
+
+    const setStops = (stops, smoothStops = false) => {
+      smooth = smoothStops;
+      list.replaceChildren();
+      rows = [];
+      for (const stop of stops) addRow(stop);
+    };
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'control-button';
+    add.textContent = '+ Stop';
+    add.addEventListener('click', () => {
+      addRow([0.5, 1, 1, 1]);
+      emit();
+    });
+
+    element.append(list, add);
+    this.controlsOptions.appendChild(element);
+    return { element, setStops };
+  }
+
+  /**
+   * Add a row of buttons above the sliders.
+   * @param {Array<{ label: string, onClick: () => void }>} actions
+   * @returns {HTMLButtonElement[]} buttons in the same order
+   */
+  addActions(actions) {
+    const row = document.createElement('div');
+    row.className = 'control-actions';
+    const buttons = actions.map(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'control-button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    });
+    row.append(...buttons);
+    this.controlsOptions.appendChild(row);
+    return buttons;
+  }
+
+  /**
+   * Build one slider per physics parameter. Sliders write straight into
+   * the shared SimParams; the readouts follow params.onChange so external
+   * changes (e.g. reset) stay in sync.
+   */
+  buildControls(params) {
+    const readouts = {};
+    const inputs = {};
+
+    for (const def of PARAM_DEFS) {
+      const row = document.createElement('label');
+      row.className = 'control-row';
+
+      const name = document.createElement('span');
+      name.className = 'control-name';
+      name.textContent = def.label;
+
+      const value = document.createElement('span');
+      value.className = 'control-value';
+
+      let input;
+      if (def.type === 'select') {
+        input = document.createElement('select');
+        input.className = 'control-select';
+        def.options.forEach((label, i) => {
+          const el = document.createElement('option');
+          el.value = String(i);
+          el.textContent = label;
+          input.appendChild(el);
+        });
+        input.addEventListener('change', () => params.set(def.key, input.value));
+      } else if (def.type === 'toggle') {
+        input = document.createElement('input');
+        row.classList.add('control-toggle');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => params.set(def.key, input.checked ? 1 : 0));
+      } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        input.addEventListener('input', () => params.set(def.key, input.value));
+      }
+
+      row.append(name, value, input);
+      this.controlsBody.appendChild(row);
+      readouts[def.key] = value;
+      inputs[def.key] = input;
+    }
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'control-button';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => params.reset());
+    this.controlsBody.appendChild(reset);
+
+    const sync = (key, v) => {
+      const def = PARAM_DEFS.find(d => d.key === key);
+      if (def.type === 'select') {
+        readouts[key].textContent = '';
+        inputs[key].value = String(v);
+        return;
+      }
+      if (def.type === 'toggle') {
+        readouts[key].textContent = v ? 'on' : 'off';
+        inputs[key].checked = !!v;
+        return;
+      }
+      const decimals = Math.max(0, -Math.floor(Math.log10(def.step)));
+      readouts[key].textContent = v.toFixed(decimals);
+      inputs[key].value = v;
+    };
+    for (const def of PARAM_DEFS) sync(def.key, params[def.key]);
+    params.onChange(sync);
   }
 
   setRenderer(name) {
@@ -23,7 +384,21 @@ export class UI {
     }, 600);
   }
 
-  update(entropy, stateMachine) {
+  /**
+   * Show the Maxwell-Boltzmann fit next to the entropy value.
+   * @param {{ kT: number, divergence: number, thermalised: boolean } | null} fit
+   */
+  updateFit(fit) {
+    this.mbKT.textContent = fit ? fit.kT.toFixed(2) : '—';
+    this.mbKL.textContent = fit ? fit.divergence.toFixed(3) : '—';
+    this.mbFit.classList.toggle('thermal', !!fit?.thermalised);
+  }
+
+  /**
+   * @param {string | null} label - shown in place of the state label
+   *   (PAUSED, REWINDING, ...), or null for the state machine's own
+   */
+  update(entropy, stateMachine, label = null) {
     // Entropy counter
     const displayBits = entropy.currentEntropy;
     this.entropyValue.textContent = displayBits.toFixed(4);
@@ -38,9 +413,9 @@ export class UI {
     // Entropy bar
     this.entropyBarFill.style.width = `${entropy.displayEntropy * 100}%`;
 
-    // State label — visible during transitions
-    this.stateLabel.textContent = stateMachine.stateLabel;
-    if (stateMachine.isTransitioning) {
+    // State label — visible during transitions and in temperature mode
+    this.stateLabel.textContent = label ?? stateMachine.stateLabel;
+    if (label || stateMachine.isTransitioning || stateMachine.isThermostat) {
       this.stateLabel.classList.add('visible');
     } else {
       this.stateLabel.classList.remove('visible');
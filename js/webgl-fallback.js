@@ -1,26 +1,47 @@
 /**
  * WebGL2 fallback renderer.
- * 512 particles, CPU physics, instanced point sprites with additive blending.
+ * 512 particles by default (the CPU path runs on the weakest devices; the
+ * parity harness sets its own count), CPU physics (sim-core.js, same spec
+ * as the GPU path), instanced point sprites with additive blending.
  * Two-pass Gaussian blur for metaball-ish glow.
  */
 
 import { mat4Perspective, mat4LookAt } from './math-utils.js';
+import { Simulation, PARTICLE_STRIDE, LAYOUT } from './sim-core.js';
+import { stepSize } from './physics-spec.js';
+import { generateColorLUT, DEFAULT_PALETTE, VOLUME_MODES } from './color-map.js';
+import { voxelIndex } from './observables.js';
 
-const PARTICLE_COUNT = 512;
-const HIST_BINS = 64;
+const DEFAULT_PARTICLE_COUNT = 512;
+const MAX_PARTICLE_COUNT = 16384; // CPU physics budget per frame
 
 export class WebGLFallback {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./sim-params.js').SimParams} params - shared physics parameters
+   */
+  constructor(canvas, params) {
     this.canvas = canvas;
+    this.params = params;
+    this.sim = new Simulation(params, { particleCount: DEFAULT_PARTICLE_COUNT });
+    this.maxParticleCount = MAX_PARTICLE_COUNT;
     this.gl = null;
-    this.particles = null; // Float32Array: [x, y, z, vx, vy, vz, hx, hy, hz, speed] * N
     this.program = null;
     this.blurProgram = null;
     this.fbo = null;
     this.fboTexture = null;
-    this.pendingHistogram = null;
+    this.lutTexture = null;
+    this.palette = DEFAULT_PALETTE;
+    // Sprites are colored per particle, which is already a temperature view
+    // and needs no CPU density grid (so not the volume's DEFAULT_VOLUME_MODE);
+    // the density modes read the grid at each particle.
+    this.volumeMode = 'temperature';
   }
 
+  get particleCount() { return this.sim.particleCount; }
+  get latticeType() { return this.sim.latticeType; }
+  get seed() { return this.sim.seed; }
+
   async init() {
     this.gl = this.canvas.getContext('webgl2', {
       antialias: false,
@@ -39,46 +60,49 @@ export class WebGLFallback {
     this.maxPointSize = range ? range[1] : 64;
     console.log('Max point size:', this.maxPointSize);
 
-    this._initParticles();
     this._createPrograms();
     this._createFBO();
+    this.lutTexture = gl.createTexture();
+    this.setPalette(this.palette);
   }
 
-  _initParticles() {
-    // BCC lattice for 512 particles
-    this.particles = new Float32Array(PARTICLE_COUNT * 10);
-    const side = Math.ceil(Math.cbrt(PARTICLE_COUNT / 2));
-    const spacing = 5.0 / side;
-    let idx = 0;
-
-    for (let z = 0; z < side && idx < PARTICLE_COUNT; z++) {
-      for (let y = 0; y < side && idx < PARTICLE_COUNT; y++) {
-        for (let x = 0; x < side && idx < PARTICLE_COUNT; x++) {
-          if (idx < PARTICLE_COUNT) {
-            const px = (x - side / 2 + 0.5) * spacing;
-            const py = (y - side / 2 + 0.5) * spacing;
-            const pz = (z - side / 2 + 0.5) * spacing;
-            const base = idx * 10;
-            this.particles[base] = px; this.particles[base+1] = py; this.particles[base+2] = pz;
-            this.particles[base+3] = 0; this.particles[base+4] = 0; this.particles[base+5] = 0;
-            this.particles[base+6] = px; this.particles[base+7] = py; this.particles[base+8] = pz;
-            this.particles[base+9] = 0;
-            idx++;
-          }
-          if (idx < PARTICLE_COUNT) {
-            const px = (x - side / 2 + 1.0) * spacing;
-            const py = (y - side / 2 + 1.0) * spacing;
-            const pz = (z - side / 2 + 1.0) * spacing;
-            const base = idx * 10;
-            this.particles[base] = px; this.particles[base+1] = py; this.particles[base+2] = pz;
-            this.particles[base+3] = 0; this.particles[base+4] = 0; this.particles[base+5] = 0;
-            this.particles[base+6] = px; this.particles[base+7] = py; this.particles[base+8] = pz;
-            this.particles[base+9] = 0;
-            idx++;
-          }
-        }
-      }
-    }
+  /**
+   * Change the number of particles at runtime. Particles restart at rest
+   * on the current lattice.
+   * @returns {number} the count actually applied
+   */
+  setParticleCount(count) {
+    const n = Math.max(1, Math.min(Math.floor(count), this.maxParticleCount));
+    this.sim.setParticleCount(n);
+    return n;
+  }
+
+  reset() {
+    this.sim.reset();
+  }
+
+  setSeed(seed) {
+    this.sim.setSeed(seed);
+  }
+
+  setLattice(type) {
+    this.sim.setLattice(type);
+  }
+
+  /**
+   * Re-upload the color LUT (a 256x1 2D texture — WebGL2 has no 1D textures).
+   * @param {string | { stops: number[][], smooth?: boolean }} palette - key of PALETTES or a custom ramp
+   */
+  setPalette(palette) {
+    this.palette = palette;
+    const gl = this.gl;
+    if (!gl) return;
+    gl.bindTexture(gl.TEXTURE_2D, this.lutTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, generateColorLUT(256, palette));
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
   }
 
   _createPrograms() {
@@ -90,9 +114,12 @@ export class WebGLFallback {
       uniform float u_pointSize;
       in vec3 a_position;
       in float a_speed;
+      in float a_density;
       out float v_speed;
+      out float v_density;
       void main() {
         v_speed = a_speed;
+        v_density = a_density;
         vec4 pos = u_viewProj * vec4(a_position, 1.0);
         gl_Position = pos;
         gl_PointSize = u_pointSize / max(pos.w, 0.1);
@@ -100,17 +127,23 @@ export class WebGLFallback {
 
     const fsrc = `#version 300 es
       precision highp float;
+      uniform sampler2D u_lut;
+      uniform int u_mode; // VOLUME_MODES id: 0 density, 1 temperature, 2 product
       in float v_speed;
+      in float v_density;
       out vec4 fragColor;
       void main() {
         vec2 c = gl_PointCoord - 0.5;
         float d = length(c);
         if (d > 0.5) discard;
         float alpha = smoothstep(0.5, 0.0, d);
-        // Color from speed: teal -> amber -> white
-        float t = clamp(v_speed / 6.0, 0.0, 1.0);
-        vec3 col = mix(vec3(0.08, 0.72, 0.65), vec3(0.98, 0.45, 0.09), t);
-        col = mix(col, vec3(1.0, 0.96, 0.9), max(t - 0.8, 0.0) * 5.0);
+        // Color from speed and/or local density via the palette LUT. Resting
+        // particles start at 0.3 so the lattice stays visible (the dark low
+        // end is for the volume).
+        float tt = clamp(v_speed / 6.0, 0.0, 1.0);
+        float td = clamp(v_density * 0.15, 0.0, 1.0);
+        float t = u_mode == 0 ? td : (u_mode == 1 ? tt : td * tt);
+        vec3 col = texture(u_lut, vec2(0.3 + 0.7 * t, 0.5)).rgb;
         fragColor = vec4(col * alpha * 1.2, alpha * 0.8);
       }`;
 
@@ -152,6 +185,7 @@ export class WebGLFallback {
     // Create buffers
     this.posBuffer = gl.createBuffer();
     this.speedBuffer = gl.createBuffer();
+    this.densityBuffer = gl.createBuffer();
 
     // Fullscreen quad
     this.quadBuffer = gl.createBuffer();
@@ -231,83 +265,48 @@ export class WebGLFallback {
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
   }
 
-  updatePhysics(dt, tOrder, time) {
-    const springK = 12.0;
-    const noiseStr = 4.0;
-    const dampOrdered = 0.97;
-    const dampChaos = 0.999;
-    const damping = dampChaos + (dampOrdered - dampChaos) * tOrder;
-
-    // Simple seeded pseudo-random
-    let seed = (time * 1000) | 0;
-    const rand = () => {
-      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-      return (seed / 0x7fffffff) * 2 - 1;
-    };
-
-    for (let i = 0; i < PARTICLE_COUNT; i++) {
-      const b = i * 10;
-      // Spring toward home
-      const dx = this.particles[b+6] - this.particles[b];
-      const dy = this.particles[b+7] - this.particles[b+1];
-      const dz = this.particles[b+8] - this.particles[b+2];
-
-      const fx = dx * springK * tOrder + rand() * noiseStr * (1 - tOrder);
-      const fy = dy * springK * tOrder + rand() * noiseStr * (1 - tOrder);
-      const fz = dz * springK * tOrder + rand() * noiseStr * (1 - tOrder);
-
-      this.particles[b+3] = this.particles[b+3] * damping + fx * dt;
-      this.particles[b+4] = this.particles[b+4] * damping + fy * dt;
-      this.particles[b+5] = this.particles[b+5] * damping + fz * dt;
-
-      // Clamp
-      const spd = Math.sqrt(this.particles[b+3]**2 + this.particles[b+4]**2 + this.particles[b+5]**2);
-      if (spd > 8) {
-        const s = 8 / spd;
-        this.particles[b+3] *= s; this.particles[b+4] *= s; this.particles[b+5] *= s;
-      }
-
-      this.particles[b] += this.particles[b+3] * dt;
-      this.particles[b+1] += this.particles[b+4] * dt;
-      this.particles[b+2] += this.particles[b+5] * dt;
-      this.particles[b+9] = Math.sqrt(this.particles[b+3]**2 + this.particles[b+4]**2 + this.particles[b+5]**2);
-
-      // Soft boundary
-      const distC = Math.sqrt(this.particles[b]**2 + this.particles[b+1]**2 + this.particles[b+2]**2);
-      if (distC > 4.5) {
-        const push = (distC - 4.5) * 2 * dt / distC;
-        this.particles[b+3] -= this.particles[b] * push;
-        this.particles[b+4] -= this.particles[b+1] * push;
-        this.particles[b+5] -= this.particles[b+2] * push;
-      }
+  /**
+   * @param {{ physics?: boolean, steps?: number, minSteps?: number }} options -
+   *   physics: false only measures and draws the current particles (e.g. a
+   *   state from writeParticles); steps runs exactly that many physics
+   *   steps; minSteps runs at least that many (single step)
+   * @returns {number} physics steps taken
+   */
+  frame(dt, tOrder, time, camera, { physics = true, steps, minSteps = 0 } = {}) {
+    let n = 0;
+    if (physics) {
+      n = this.sim.advance(dt, tOrder,
+        steps ?? this.sim.accumulator.take(dt, stepSize(this.params.substeps), minSteps));
     }
-
-    // Build histogram
-    const hist = new Uint32Array(HIST_BINS);
-    for (let i = 0; i < PARTICLE_COUNT; i++) {
-      const spd = this.particles[i * 10 + 9];
-      const bin = Math.min(Math.floor((spd / 8.0) * HIST_BINS), HIST_BINS - 1);
-      hist[bin]++;
-    }
-    this.pendingHistogram = hist;
+    else this.sim.measure();
+    this.render(time, camera);
+    return n;
   }
 
-  frame(dt, tOrder, time, camera) {
+  /** Draw the current particles from a camera without stepping physics (paused scene). */
+  render(time, camera) {
     const gl = this.gl;
-    this.updatePhysics(dt, tOrder, time);
+    const particles = this.sim.particles;
 
     const w = this.canvas.width;
     const h = this.canvas.height;
     const aspect = w / h;
 
-    // Extract position and speed arrays
-    const positions = new Float32Array(PARTICLE_COUNT * 3);
-    const speeds = new Float32Array(PARTICLE_COUNT);
-    for (let i = 0; i < PARTICLE_COUNT; i++) {
-      positions[i*3] = this.particles[i*10];
-      positions[i*3+1] = this.particles[i*10+1];
-      positions[i*3+2] = this.particles[i*10+2];
-      speeds[i] = this.particles[i*10+9];
+    // Extract position, speed and local density arrays
+    const positions = new Float32Array(this.particleCount * 3);
+    const speeds = new Float32Array(this.particleCount);
+    const densities = new Float32Array(this.particleCount);
+    const grid = this.volumeMode !== 'temperature' ? this.sim.density : null;
+    for (let i = 0; i < this.particleCount; i++) {
+      const b = i * PARTICLE_STRIDE;
+      positions[i*3] = particles[b];
+      positions[i*3+1] = particles[b+1];
+      positions[i*3+2] = particles[b+2];
+      speeds[i] = particles[b+9];
+      if (grid) {
+        const v = voxelIndex(particles[b], particles[b+1], particles[b+2]);
+        densities[i] = v < 0 ? 0 : grid[v] / 1000; // fixed point, as in the raymarcher
+      }
     }
 
     const proj = mat4Perspective(45 * Math.PI / 180, aspect, 0.1, 100);
@@ -338,6 +337,10 @@ export class WebGLFallback {
 
     const vpLoc = gl.getUniformLocation(this.program, 'u_viewProj');
     gl.uniformMatrix4fv(vpLoc, false, vp);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.lutTexture);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_lut'), 1);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_mode'), VOLUME_MODES[this.volumeMode].id);
     const psLoc = gl.getUniformLocation(this.program, 'u_pointSize');
     // Scale point size with canvas height, clamped to device max (iOS caps at ~63px)
     const desiredSize = Math.min(h, 1440) * 0.1;
@@ -355,7 +358,13 @@ export class WebGLFallback {
     gl.enableVertexAttribArray(spdLoc);
     gl.vertexAttribPointer(spdLoc, 1, gl.FLOAT, false, 0, 0);
 
-    gl.drawArrays(gl.POINTS, 0, PARTICLE_COUNT);
+    const denLoc = gl.getAttribLocation(this.program, 'a_density');
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.densityBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, densities, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(denLoc);
+    gl.vertexAttribPointer(denLoc, 1, gl.FLOAT, false, 0, 0);
+
+    gl.drawArrays(gl.POINTS, 0, this.particleCount);
 
     // Pass 2: Blur and composite to screen
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -379,8 +388,59 @@ export class WebGLFallback {
     gl.drawArrays(gl.TRIANGLES, 0, 3);
   }
 
+  /** Float offsets within one particle of the arrays below. */
+  get particleLayout() {
+    return { stride: PARTICLE_STRIDE, position: LAYOUT.position, velocity: LAYOUT.velocity };
+  }
+
+  /** @returns {Promise<Float32Array>} a copy of the CPU particle array */
+  readParticles() {
+    return Promise.resolve(this.sim.particles.slice(0, this.particleCount * PARTICLE_STRIDE));
+  }
+
+  /** Overwrite every particle (same layout and count as readParticles). */
+  writeParticles(data) {
+    this.sim.particles.set(data);
+  }
+
   getHistogram() {
-    return this.pendingHistogram;
+    return this.sim.observables ? this.sim.observables.speed : null;
+  }
+
+  /**
+   * Latest value of every entropy observable (computed on the CPU each frame).
+   * @returns {{ speed: Uint32Array, direction: Uint32Array, joint: Uint32Array,
+   *             density: { sum: number, sumXLogX: number } | null,
+   *             binning: import('./binning.js').Binning, hashOverflow: number } | null}
+   */
+  getObservables() {
+    return this.sim.observables;
+  }
+
+  /**
+   * Only positional entropy needs the density moments; the density color
+   * modes need just the splatted grid (see setVolumeMode).
+   */
+  setObservable(key) {
+    this.sim.trackDensity = key === 'position';
+  }
+
+  /** No volume to march here; kept so offline renders can drive either backend. */
+  setMarchSteps() {}
+
+  /** Drop the part-step of frame time carried over, so stepping starts clean. */
+  resetAccumulator() {
+    this.sim.accumulator.reset();
+  }
+
+  /**
+   * Choose what colors the sprites: 'density', 'temperature' (particle speed)
+   * or 'product' (see VOLUME_MODES).
+   */
+  setVolumeMode(mode) {
+    if (!VOLUME_MODES[mode]) throw new Error(`Unknown volume mode: ${mode}`);
+    this.volumeMode = mode;
+    this.sim.trackDensityGrid = mode !== 'temperature';
   }
 
   resize(w, h) {
@@ -2,47 +2,93 @@
  * WebGPU renderer: manages device, pipelines, buffers, and per-frame dispatch.
  *
  * Pipeline per frame:
- * 1. Update uniforms
- * 2. Compute: density-clear
- * 3. Compute: physics
- * 4. Compute: density-splat
- * 5. Compute: histogram
- * 6. Render: fullscreen quad + raymarch
- * 7. Copy histogram to readback buffer
+ * 1. Physics, once per fixed step (the accumulator cuts the frame into
+ *    steps; velocity Verlet runs two stages). Every stage's uniforms are
+ *    written up front into slots, and each dispatch copies its slot in
+ *    before hash-clear / hash-insert / hash-sort (only when LJ is on),
+ *    then physics — all in the frame's one command encoder
+ * 2. Update uniforms
+ * 3. Compute: density-clear
+ * 4. Compute: density-splat (density + speed-weighted temperature volumes)
+ * 5. Compute: density-entropy (only when positional entropy is selected)
+ * 6. Compute: histogram (speed, direction, joint position x speed)
+ * 7. Render: fullscreen quad + raymarch
+ * 8. Copy histogram (+ density partials, hash overflow) to readback buffer
  */
 
-import { generateColorLUT } from './color-map.js';
+import {
+  generateColorLUT, DEFAULT_PALETTE, VOLUME_MODES, DEFAULT_VOLUME_MODE, TEMPERATURE_SCALE,
+} from './color-map.js';
+import { generateLattice, DEFAULT_LATTICE } from './lattice.js';
 import { mat4Perspective, mat4Inverse } from './math-utils.js';
-
-const PARTICLE_COUNT = 2048;
+import { randomSeed } from './random.js';
+import { StepAccumulator, MAX_FRAME_STEPS } from './sim-clock.js';
+import { resolveBinning, MAX_SPEED_BINS } from './binning.js';
+import { DEFAULT_PARTICLE_COUNT, MAX_SPEED, Integrator, stepSize } from './physics-spec.js';
+import {
+  GRID_RES, GRID_VOXELS, GRID_MIN, GRID_MAX, SPLAT_RADIUS,
+  histogramSize, splatStrengthFor, splitHistogram,
+} from './observables.js';
+import {
+  hashGridFor, ljSigmaFor, HASH_MAX_PER_CELL, LJ_CUTOFF, LJ_MAX_FORCE,
+} from './spatial-hash.js';
+
+const MAX_PARTICLE_COUNT = 131072;
 const PARTICLE_STRIDE = 48; // bytes per particle
-const GRID_RES = 64;
-const GRID_VOXELS = GRID_RES * GRID_RES * GRID_RES; // 262144
-const HIST_BINS = 64;
-const GRID_MIN = [-3.5, -3.5, -3.5];
-const GRID_MAX = [3.5, 3.5, 3.5];
+const HIST_SIZE = histogramSize(MAX_SPEED_BINS); // room for the most speed bins + direction + joint + max
+const DENSITY_PARTIALS = GRID_VOXELS / 256;  // one vec2 per density-entropy workgroup
+const OVERFLOW_OFFSET = HIST_SIZE * 4 + DENSITY_PARTIALS * 8; // hash overflow count in the readback
+const PHYSICS_UNIFORM_BYTES = 96; // 24 x 32-bit
+const MARCH_STEPS = 96; // raymarch samples per pixel in real time
 
 export class WebGPURenderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {import('./sim-params.js').SimParams} params - shared physics parameters
+   */
+  constructor(canvas, params) {
     this.canvas = canvas;
+    this.params = params;
+    this.latticeType = DEFAULT_LATTICE;
+    this.particleCount = DEFAULT_PARTICLE_COUNT;
+    this.maxParticleCount = MAX_PARTICLE_COUNT;
+    this.nearestNeighbor = 0; // lattice nearest-neighbour distance (sets LJ sigma)
+    this.hashGrid = null;
+    this.seed = randomSeed();
+    this.step = 0;            // physics steps since reset; seeds the noise with `seed`
+    this.accumulator = new StepAccumulator();
+    this.binning = resolveBinning(params); // speed bins of the frame in flight
     this.device = null;
     this.context = null;
     this.format = null;
 
     // Buffers
     this.particleBuffer = null;
+    this.homeBuffer = null;
     this.densityBuffer = null;
     this.histogramBuffer = null;
+    this.cellCountBuffer = null;
+    this.cellEntryBuffer = null;
+    this.hashCells = -1;        // cells the hash buffers are sized for (0 = placeholder)
+    this.hashOverflowBuffer = null; // u32: particles dropped from full cells this frame
     this.histReadbackBuffers = [null, null]; // double-buffered
     this.currentReadback = 0;
-    this.pendingHistogram = null;
+    this.pendingObservables = null;
+    this.lastReadback = null;   // promise for the most recent readback
+    this.densityPartialsBuffer = null;
+    this.trackDensity = false; // run density-entropy only when it's displayed
 
     // Pipelines
     this.physicsPipeline = null;
     this.densityClearPipeline = null;
     this.densitySplatPipeline = null;
     this.histogramClearPipeline = null;
+    this.densityEntropyPipeline = null;
     this.histogramPipeline = null;
+    this.setHomePipeline = null;
+    this.hashClearPipeline = null;
+    this.hashInsertPipeline = null;
+    this.hashSortPipeline = null;
     this.renderPipeline = null;
 
     // Bind groups
@@ -50,21 +96,38 @@ export class WebGPURenderer {
     this.densityClearBindGroup = null;
     this.densitySplatBindGroup = null;
     this.histogramClearBindGroup = null;
+    this.densityEntropyBindGroup = null;
     this.histogramBindGroup = null;
+    this.setHomeBindGroup = null;
+    this.hashClearBindGroup = null;
+    this.hashInsertBindGroup = null;
+    this.hashSortBindGroup = null;
     this.renderBindGroup = null;
 
     // Uniform buffers
     this.physicsUniformBuffer = null;
+    this.physicsSlotBuffer = null; // one set of physics uniforms per dispatch of a frame
     this.densityUniformBuffer = null;
     this.histUniformBuffer = null;
+    this.hashUniformBuffer = null;
     this.raymarchUniformBuffer = null;
 
     // Textures
     this.colorLUTTexture = null;
     this.colorLUTSampler = null;
+    this.palette = DEFAULT_PALETTE;
+    this.volumeMode = DEFAULT_VOLUME_MODE;
+    this.marchSteps = MARCH_STEPS;
+
+    // Staging buffers for particle readback (Loschmidt snapshots)
+    this.particleStaging = [];
 
     // For reading density as non-atomic in render pass
     this.densityReadBuffer = null;
+
+    // Σ weight·v²/3 per voxel; divided by density in the raymarcher
+    this.temperatureBuffer = null;
+    this.temperatureReadBuffer = null;
   }
 
   async init() {
@@ -76,6 +139,10 @@ export class WebGPURenderer {
     // Request device with minimal limits (actual max buffer ~1MB)
     // Requesting 256MB caused failures on iOS Safari Metal backend
     this.device = await adapter.requestDevice();
+    this.maxParticleCount = Math.min(
+      MAX_PARTICLE_COUNT,
+      Math.floor(this.device.limits.maxStorageBufferBindingSize / PARTICLE_STRIDE)
+    );
 
     this.context = this.canvas.getContext('webgpu');
     this.format = navigator.gpu.getPreferredCanvasFormat();
@@ -98,15 +165,7 @@ export class WebGPURenderer {
   async _createBuffers() {
     const d = this.device;
 
-    // Particle buffer
-    const particleData = this._generateBCCLattice();
-    this.particleBuffer = d.createBuffer({
-      size: PARTICLE_COUNT * PARTICLE_STRIDE,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
-      mappedAtCreation: true,
-    });
-    new Float32Array(this.particleBuffer.getMappedRange()).set(particleData);
-    this.particleBuffer.unmap();
+    this._createParticleBuffers();
 
     // Density volume (atomic u32) — used in compute
     this.densityBuffer = d.createBuffer({
@@ -120,25 +179,49 @@ export class WebGPURenderer {
       usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
     });
 
+    // Temperature volume (atomic u32) and its render-pass copy
+    this.temperatureBuffer = d.createBuffer({
+      size: GRID_VOXELS * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+
+    this.temperatureReadBuffer = d.createBuffer({
+      size: GRID_VOXELS * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
     // Histogram buffer (atomic u32)
     this.histogramBuffer = d.createBuffer({
-      size: HIST_BINS * 4,
+      size: HIST_SIZE * 4,
       usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
     });
 
-    // Double-buffered readback
+    // Density-entropy partial sums (vec2<f32> per workgroup)
+    this.densityPartialsBuffer = d.createBuffer({
+      size: DENSITY_PARTIALS * 8,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+
+    // Particles the hash dropped from full cells, summed over a frame's steps
+    this.hashOverflowBuffer = d.createBuffer({
+      size: 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+
+    // Double-buffered readback: histogram, density partials, hash overflow
     for (let i = 0; i < 2; i++) {
       this.histReadbackBuffers[i] = d.createBuffer({
-        size: HIST_BINS * 4,
+        size: OVERFLOW_OFFSET + 4,
         usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
       });
     }
 
     // Uniform buffers
     this.physicsUniformBuffer = d.createBuffer({
-      size: 32, // 8 x f32
+      size: PHYSICS_UNIFORM_BYTES,
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
+    this._ensurePhysicsSlots(MAX_FRAME_STEPS * 2);
 
     this.densityUniformBuffer = d.createBuffer({
       size: 48, // aligned
@@ -146,7 +229,12 @@ export class WebGPURenderer {
     });
 
     this.histUniformBuffer = d.createBuffer({
-      size: 16,
+      size: 48,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    this.hashUniformBuffer = d.createBuffer({
+      size: 32,
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
@@ -156,19 +244,13 @@ export class WebGPURenderer {
     });
 
     // Color LUT 1D texture
-    const lutData = generateColorLUT(256);
     this.colorLUTTexture = d.createTexture({
       size: [256],
       format: 'rgba8unorm',
       dimension: '1d',
       usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
     });
-    d.queue.writeTexture(
-      { texture: this.colorLUTTexture },
-      lutData,
-      { bytesPerRow: 256 * 4 },
-      [256]
-    );
+    this.setPalette(this.palette);
 
     this.colorLUTSampler = d.createSampler({
       magFilter: 'linear',
@@ -177,75 +259,182 @@ export class WebGPURenderer {
     });
   }
 
-  _generateBCCLattice() {
-    // Body-centered cubic lattice: 2048 particles
-    // BCC has 2 atoms per unit cell: (0,0,0) and (0.5,0.5,0.5)
-    const data = new Float32Array(PARTICLE_COUNT * 12); // 12 floats per particle (48 bytes)
-    const side = Math.ceil(Math.cbrt(PARTICLE_COUNT / 2)); // ~10
-    const spacing = 5.0 / side; // fit within [-2.5, 2.5]
-    let idx = 0;
-
-    for (let z = 0; z < side && idx < PARTICLE_COUNT; z++) {
-      for (let y = 0; y < side && idx < PARTICLE_COUNT; y++) {
-        for (let x = 0; x < side && idx < PARTICLE_COUNT; x++) {
-          // Corner atom
-          if (idx < PARTICLE_COUNT) {
-            const px = (x - side / 2 + 0.5) * spacing;
-            const py = (y - side / 2 + 0.5) * spacing;
-            const pz = (z - side / 2 + 0.5) * spacing;
-            const base = idx * 12;
-            data[base + 0] = px;     // position.x
-            data[base + 1] = py;     // position.y
-            data[base + 2] = pz;     // position.z
-            data[base + 3] = 0;      // _pad0
-            data[base + 4] = 0;      // velocity.x
-            data[base + 5] = 0;      // velocity.y
-            data[base + 6] = 0;      // velocity.z
-            data[base + 7] = 0;      // speed
-            data[base + 8] = px;     // home_position.x
-            data[base + 9] = py;     // home_position.y
-            data[base + 10] = pz;    // home_position.z
-            data[base + 11] = 0;     // _pad1
-            idx++;
-          }
+  /**
+   * (Re)allocate everything sized by particle count. Particles start at rest
+   * on their lattice sites.
+   */
+  _createParticleBuffers() {
+    const d = this.device;
+    const n = this.particleCount;
+    if (this.particleBuffer) this.particleBuffer.destroy();
+    if (this.homeBuffer) this.homeBuffer.destroy();
 
-          // Body-center atom
-          if (idx < PARTICLE_COUNT) {
-            const px = (x - side / 2 + 1.0) * spacing;
-            const py = (y - side / 2 + 1.0) * spacing;
-            const pz = (z - side / 2 + 1.0) * spacing;
-            const base = idx * 12;
-            data[base + 0] = px;
-            data[base + 1] = py;
-            data[base + 2] = pz;
-            data[base + 3] = 0;
-            data[base + 4] = 0;
-            data[base + 5] = 0;
-            data[base + 6] = 0;
-            data[base + 7] = 0;
-            data[base + 8] = px;
-            data[base + 9] = py;
-            data[base + 10] = pz;
-            data[base + 11] = 0;
-            idx++;
-          }
-        }
-      }
+    // Particle buffer
+    const { positions, nearestNeighbor } = generateLattice(this.latticeType, n);
+    this.nearestNeighbor = nearestNeighbor;
+    const particleData = this._packParticles(positions);
+    this.particleBuffer = d.createBuffer({
+      size: n * PARTICLE_STRIDE,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      mappedAtCreation: true,
+    });
+    new Float32Array(this.particleBuffer.getMappedRange()).set(particleData);
+    this.particleBuffer.unmap();
+
+    // Staging buffer for lattice switches (vec4 per particle, read by set-home)
+    this.homeBuffer = d.createBuffer({
+      size: n * 16,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    this._updateHashGrid();
+  }
+
+  /**
+   * Size the spatial hash for the current LJ cutoff. The cell buffers (up
+   * to ~33 MB of entries) exist only while LJ is on; with it off the hash
+   * is never dispatched and 16-byte placeholders keep the bind groups
+   * valid. Reallocates only when that size changes.
+   * @returns {boolean} true if buffers were reallocated (bind groups stale)
+   */
+  _updateHashGrid() {
+    const grid = hashGridFor(LJ_CUTOFF * ljSigmaFor(this.nearestNeighbor));
+    this.hashGrid = grid;
+    const cells = this.params.ljEpsilon > 0 ? grid.dims * grid.dims * grid.dims : 0;
+    if (cells === this.hashCells) return false;
+    this.hashCells = cells;
+
+    const d = this.device;
+    if (this.cellCountBuffer) this.cellCountBuffer.destroy();
+    if (this.cellEntryBuffer) this.cellEntryBuffer.destroy();
+    this.cellCountBuffer = d.createBuffer({
+      size: Math.max(cells * 4, 16),
+      usage: GPUBufferUsage.STORAGE,
+    });
+    this.cellEntryBuffer = d.createBuffer({
+      size: Math.max(cells * HASH_MAX_PER_CELL * 16, 16), // vec4<u32>: position bits + index
+      usage: GPUBufferUsage.STORAGE,
+    });
+    return true;
+  }
+
+  _packParticles(homes) {
+    // 12 floats per particle (48 bytes), starting at rest on the home site
+    const data = new Float32Array(this.particleCount * 12);
+    for (let i = 0; i < this.particleCount; i++) {
+      const base = i * 12;
+      const hx = homes[i * 3], hy = homes[i * 3 + 1], hz = homes[i * 3 + 2];
+      data[base + 0] = hx;     // position.x
+      data[base + 1] = hy;     // position.y
+      data[base + 2] = hz;     // position.z
+      data[base + 3] = 0;      // _pad0
+      data[base + 4] = 0;      // velocity.x
+      data[base + 5] = 0;      // velocity.y
+      data[base + 6] = 0;      // velocity.z
+      data[base + 7] = 0;      // speed
+      data[base + 8] = hx;     // home_position.x
+      data[base + 9] = hy;     // home_position.y
+      data[base + 10] = hz;    // home_position.z
+      data[base + 11] = 0;     // _pad1
     }
     return data;
   }
 
+  /**
+   * Change the number of particles at runtime. Reallocates particle-sized
+   * buffers and rebuilds the bind groups that reference them.
+   * @returns {number} the count actually applied (clamped to device limits)
+   */
+  setParticleCount(count) {
+    const n = Math.max(1, Math.min(Math.floor(count), this.maxParticleCount));
+    this.particleCount = n;
+    this.step = 0;
+    if (!this.device) return n;
+    this._createParticleBuffers();
+    this._createBindGroups();
+    return n;
+  }
+
+  /**
+   * Put every particle back at rest on its lattice site and restart the
+   * step counter, so the run replays exactly for the same seed — as long
+   * as no hash cell overflows (see hashOverflow in getObservables).
+   */
+  reset() {
+    this.step = 0;
+    this.accumulator.reset();
+    this.pendingObservables = null;
+    if (!this.device) return;
+    const { positions } = generateLattice(this.latticeType, this.particleCount);
+    this.device.queue.writeBuffer(this.particleBuffer, 0, this._packParticles(positions));
+  }
+
+  /** Choose the noise stream (u32) and restart from the lattice. */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.reset();
+  }
+
+  /**
+   * Re-upload the color LUT.
+   * @param {string | { stops: number[][], smooth?: boolean }} palette - key of PALETTES or a custom ramp
+   */
+  setPalette(palette) {
+    this.palette = palette;
+    if (!this.colorLUTTexture) return;
+    this.device.queue.writeTexture(
+      { texture: this.colorLUTTexture },
+      generateColorLUT(256, palette),
+      { bytesPerRow: 256 * 4 },
+      [256]
+    );
+  }
+
+  /**
+   * Switch crystal structure. Only home positions are rewritten (on the GPU),
+   * so particles melt out of / re-form into the new lattice under the springs.
+   */
+  setLattice(type) {
+    const { positions, nearestNeighbor } = generateLattice(type, this.particleCount);
+    this.latticeType = type;
+    this.nearestNeighbor = nearestNeighbor;
+    if (!this.device) return;
+    if (this._updateHashGrid()) this._createBindGroups();
+
+    const homes = new Float32Array(this.particleCount * 4);
+    for (let i = 0; i < this.particleCount; i++) {
+      homes[i * 4 + 0] = positions[i * 3 + 0];
+      homes[i * 4 + 1] = positions[i * 3 + 1];
+      homes[i * 4 + 2] = positions[i * 3 + 2];
+    }
+    this.device.queue.writeBuffer(this.homeBuffer, 0, homes);
+
+    const encoder = this.device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(this.setHomePipeline);
+    pass.setBindGroup(0, this.setHomeBindGroup);
+    pass.dispatchWorkgroups(Math.ceil(this.particleCount / 256));
+    pass.end();
+    this.device.queue.submit([encoder.finish()]);
+  }
+
   async _createPipelines() {
     const d = this.device;
 
     // Load all shaders in parallel
-    const [physicsSrc, densityClearSrc, densitySplatSrc, histClearSrc, histogramSrc, quadSrc, raymarchSrc] =
+    const [physicsSrc, densityClearSrc, densitySplatSrc, densityEntropySrc, histClearSrc, histogramSrc, setHomeSrc,
+      hashClearSrc, hashInsertSrc, hashSortSrc, quadSrc, raymarchSrc] =
       await Promise.all([
         this._loadShader('shaders/physics.wgsl'),
         this._loadShader('shaders/density-clear.wgsl'),
         this._loadShader('shaders/density-splat.wgsl'),
+        this._loadShader('shaders/density-entropy.wgsl'),
         this._loadShader('shaders/histogram-clear.wgsl'),
         this._loadShader('shaders/histogram.wgsl'),
+        this._loadShader('shaders/set-home.wgsl'),
+        this._loadShader('shaders/hash-clear.wgsl'),
+        this._loadShader('shaders/hash-insert.wgsl'),
+        this._loadShader('shaders/hash-sort.wgsl'),
         this._loadShader('shaders/fullscreen-quad.wgsl'),
         this._loadShader('shaders/raymarch.wgsl'),
       ]);
@@ -277,6 +466,15 @@ export class WebGPURenderer {
       },
     });
 
+    // ── Density entropy pipeline ──
+    this.densityEntropyPipeline = d.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: d.createShaderModule({ code: densityEntropySrc }),
+        entryPoint: 'main',
+      },
+    });
+
     // ── Histogram clear pipeline ──
     this.histogramClearPipeline = d.createComputePipeline({
       layout: 'auto',
@@ -295,6 +493,40 @@ export class WebGPURenderer {
       },
     });
 
+    // ── Set-home pipeline (lattice switches) ──
+    this.setHomePipeline = d.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: d.createShaderModule({ code: setHomeSrc }),
+        entryPoint: 'main',
+      },
+    });
+
+    // ── Spatial hash pipelines (LJ pair forces) ──
+    this.hashClearPipeline = d.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: d.createShaderModule({ code: hashClearSrc }),
+        entryPoint: 'main',
+      },
+    });
+
+    this.hashInsertPipeline = d.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: d.createShaderModule({ code: hashInsertSrc }),
+        entryPoint: 'main',
+      },
+    });
+
+    this.hashSortPipeline = d.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: d.createShaderModule({ code: hashSortSrc }),
+        entryPoint: 'main',
+      },
+    });
+
     // ── Render pipeline (fullscreen quad + raymarch) ──
     const quadModule = d.createShaderModule({ code: quadSrc });
     const raymarchModule = d.createShaderModule({ code: raymarchSrc });
@@ -323,6 +555,8 @@ export class WebGPURenderer {
       entries: [
         { binding: 0, resource: { buffer: this.particleBuffer } },
         { binding: 1, resource: { buffer: this.physicsUniformBuffer } },
+        { binding: 2, resource: { buffer: this.cellCountBuffer } },
+        { binding: 3, resource: { buffer: this.cellEntryBuffer } },
       ],
     });
 
@@ -331,6 +565,7 @@ export class WebGPURenderer {
       layout: this.densityClearPipeline.getBindGroupLayout(0),
       entries: [
         { binding: 0, resource: { buffer: this.densityBuffer } },
+        { binding: 1, resource: { buffer: this.temperatureBuffer } },
       ],
     });
 
@@ -341,6 +576,16 @@ export class WebGPURenderer {
         { binding: 0, resource: { buffer: this.particleBuffer } },
         { binding: 1, resource: { buffer: this.densityBuffer } },
         { binding: 2, resource: { buffer: this.densityUniformBuffer } },
+        { binding: 3, resource: { buffer: this.temperatureBuffer } },
+      ],
+    });
+
+    // Density entropy bind group
+    this.densityEntropyBindGroup = d.createBindGroup({
+      layout: this.densityEntropyPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.densityReadBuffer } },
+        { binding: 1, resource: { buffer: this.densityPartialsBuffer } },
       ],
     });
 
@@ -362,6 +607,43 @@ export class WebGPURenderer {
       ],
     });
 
+    // Set-home bind group
+    this.setHomeBindGroup = d.createBindGroup({
+      layout: this.setHomePipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.particleBuffer } },
+        { binding: 1, resource: { buffer: this.homeBuffer } },
+      ],
+    });
+
+    // Spatial hash bind groups
+    this.hashClearBindGroup = d.createBindGroup({
+      layout: this.hashClearPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.cellCountBuffer } },
+      ],
+    });
+
+    this.hashInsertBindGroup = d.createBindGroup({
+      layout: this.hashInsertPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.particleBuffer } },
+        { binding: 1, resource: { buffer: this.cellCountBuffer } },
+        { binding: 2, resource: { buffer: this.cellEntryBuffer } },
+        { binding: 3, resource: { buffer: this.hashUniformBuffer } },
+        { binding: 4, resource: { buffer: this.hashOverflowBuffer } },
+      ],
+    });
+
+    this.hashSortBindGroup = d.createBindGroup({
+      layout: this.hashSortPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.cellCountBuffer } },
+        { binding: 1, resource: { buffer: this.cellEntryBuffer } },
+        { binding: 2, resource: { buffer: this.hashUniformBuffer } },
+      ],
+    });
+
     // Render bind group
     this.renderBindGroup = d.createBindGroup({
       layout: this.renderPipeline.getBindGroupLayout(0),
@@ -370,39 +652,77 @@ export class WebGPURenderer {
         { binding: 1, resource: { buffer: this.raymarchUniformBuffer } },
         { binding: 2, resource: this.colorLUTTexture.createView() },
         { binding: 3, resource: this.colorLUTSampler },
+        { binding: 4, resource: { buffer: this.temperatureReadBuffer } },
       ],
     });
   }
 
-  updateUniforms(dt, tOrder, time, camera) {
-    const d = this.device;
+  /**
+   * Grow the physics uniform slot buffer to hold at least `count` dispatches
+   * (replays can ask for more steps than the accumulator ever takes).
+   */
+  _ensurePhysicsSlots(count) {
+    const size = count * PHYSICS_UNIFORM_BYTES;
+    if (this.physicsSlotBuffer && this.physicsSlotBuffer.size >= size) return;
+    if (this.physicsSlotBuffer) this.physicsSlotBuffer.destroy();
+    this.physicsSlotBuffer = this.device.createBuffer({
+      size,
+      usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+  }
 
-    // Physics uniforms
-    const physData = new Float32Array([
-      dt,           // dt
-      tOrder,       // t_order
-      0.97,         // damping_ordered
-      0.999,        // damping_chaos
-      4.0,          // noise_strength
-      12.0,         // spring_k
-      time,         // time
-    ]);
-    const physBuf = new Float32Array(8);
-    physBuf.set(physData);
-    physBuf[7] = PARTICLE_COUNT; // particle_count as float bits reinterpreted — actually need u32
-    // Write particle_count as u32
-    const physMixed = new ArrayBuffer(32);
-    const physF = new Float32Array(physMixed);
-    const physU = new Uint32Array(physMixed);
-    physF[0] = dt;
-    physF[1] = tOrder;
-    physF[2] = 0.97;
-    physF[3] = 0.999;
-    physF[4] = 4.0;
-    physF[5] = 12.0;
-    physF[6] = time;
-    physU[7] = PARTICLE_COUNT;
-    d.queue.writeBuffer(this.physicsUniformBuffer, 0, physMixed);
+  /**
+   * Physics uniforms for one dispatch into slot `slot` of a frame's slot
+   * data (u32 fields go through the mixed views).
+   */
+  _packPhysicsUniforms(physF, physU, slot, h, tOrder, stage) {
+    const params = this.params;
+    const grid = this.hashGrid;
+    const sigma = ljSigmaFor(this.nearestNeighbor);
+    const o = slot * (PHYSICS_UNIFORM_BYTES / 4);
+    physF[o + 0] = h;
+    physF[o + 1] = tOrder;
+    physF[o + 2] = params.dampingOrdered;
+    physF[o + 3] = params.dampingChaos;
+    physF[o + 4] = params.noiseStrength;
+    physF[o + 5] = params.springK;
+    physU[o + 6] = this.step;
+    physU[o + 7] = this.particleCount;
+    physF[o + 8] = params.ljEpsilon;
+    physF[o + 9] = sigma;
+    physF[o + 10] = LJ_CUTOFF * sigma;
+    physF[o + 11] = LJ_MAX_FORCE;
+    physF[o + 12] = grid.origin;
+    physF[o + 13] = grid.cellSize;
+    physU[o + 14] = grid.dims;
+    physU[o + 15] = HASH_MAX_PER_CELL;
+    physU[o + 16] = params.thermostat;
+    physF[o + 17] = params.temperature;
+    physF[o + 18] = params.thermostatGamma;
+    physU[o + 19] = this.seed;
+    physU[o + 20] = params.integrator;
+    physU[o + 21] = stage;
+    physF[o + 22] = params.speedCap ? MAX_SPEED : 0;
+  }
+
+  /** Spatial hash uniforms — the same for every step of a frame. */
+  _writeHashUniforms() {
+    const grid = this.hashGrid;
+    const hashMixed = new ArrayBuffer(32);
+    const hashF = new Float32Array(hashMixed);
+    const hashU = new Uint32Array(hashMixed);
+    hashF[0] = grid.origin;
+    hashF[1] = grid.cellSize;
+    hashU[2] = grid.dims;
+    hashU[3] = HASH_MAX_PER_CELL;
+    hashU[4] = this.particleCount;
+    this.device.queue.writeBuffer(this.hashUniformBuffer, 0, hashMixed);
+  }
+
+  updateUniforms(time, camera) {
+    const d = this.device;
+    // Adaptive binning follows the fastest speed of the latest readback
+    this.binning = resolveBinning(this.params, this.pendingObservables?.speedMax ?? 0);
 
     // Density uniforms (48 bytes)
     const densMixed = new ArrayBuffer(48);
@@ -411,21 +731,29 @@ export class WebGPURenderer {
     densF[0] = GRID_MIN[0]; densF[1] = GRID_MIN[1]; densF[2] = GRID_MIN[2]; densF[3] = 0;
     densF[4] = GRID_MAX[0]; densF[5] = GRID_MAX[1]; densF[6] = GRID_MAX[2]; densF[7] = 0;
     densU[8] = GRID_RES;
-    densU[9] = PARTICLE_COUNT;
-    densF[10] = 2.0;  // splat_radius
-    densF[11] = 1.5;  // splat_strength
+    densU[9] = this.particleCount;
+    densF[10] = SPLAT_RADIUS;
+    densF[11] = splatStrengthFor(this.particleCount);
     d.queue.writeBuffer(this.densityUniformBuffer, 0, densMixed);
 
-    // Histogram uniforms
-    const histMixed = new ArrayBuffer(16);
+    // Histogram uniforms (48 bytes)
+    const histMixed = new ArrayBuffer(48);
     const histU = new Uint32Array(histMixed);
     const histF = new Float32Array(histMixed);
-    histU[0] = PARTICLE_COUNT;
-    histU[1] = HIST_BINS;
-    histF[2] = 8.0;  // max_speed
-    histF[3] = 0;
+    histU[0] = this.particleCount;
+    histU[1] = this.binning.bins;
+    histF[2] = this.binning.maxSpeed;
+    histU[3] = this.binning.log ? 1 : 0;
+    histF[4] = GRID_MIN[0]; histF[5] = GRID_MIN[1]; histF[6] = GRID_MIN[2]; histF[7] = 0;
+    histF[8] = GRID_MAX[0]; histF[9] = GRID_MAX[1]; histF[10] = GRID_MAX[2]; histF[11] = 0;
     d.queue.writeBuffer(this.histUniformBuffer, 0, histMixed);
 
+    this._writeRaymarchUniforms(time, camera);
+  }
+
+  _writeRaymarchUniforms(time, camera) {
+    const d = this.device;
+
     // Raymarch uniforms (256 bytes)
     const aspect = this.canvas.width / this.canvas.height;
     const proj = mat4Perspective(45 * Math.PI / 180, aspect, 0.1, 100);
@@ -434,6 +762,7 @@ export class WebGPURenderer {
 
     const raymarchData = new ArrayBuffer(256);
     const rmF = new Float32Array(raymarchData);
+    const rmU = new Uint32Array(raymarchData);
     // inv_view (mat4) — offset 0
     rmF.set(invView, 0);
     // inv_proj (mat4) — offset 16
@@ -450,54 +779,190 @@ export class WebGPURenderer {
     rmF[45] = this.canvas.width;  // screen_width
     rmF[46] = this.canvas.height; // screen_height
     rmF[47] = 3.0;           // absorption coefficient
+    rmU[48] = VOLUME_MODES[this.volumeMode].id; // color_mode
+    rmF[49] = TEMPERATURE_SCALE; // temp_scale
+    rmU[50] = this.marchSteps;   // march_steps
     d.queue.writeBuffer(this.raymarchUniformBuffer, 0, raymarchData);
   }
 
-  frame(dt, tOrder, time, camera) {
+  /**
+   * One physics dispatch: copy its uniform slot in, then rebuild the spatial
+   * hash when LJ is on (Verlet's second stage needs it at the drifted
+   * positions) and step. Copies and passes run in encoder order, so each
+   * dispatch sees its own slot.
+   */
+  _encodePhysics(encoder, slot) {
+    encoder.copyBufferToBuffer(this.physicsSlotBuffer, slot * PHYSICS_UNIFORM_BYTES,
+      this.physicsUniformBuffer, 0, PHYSICS_UNIFORM_BYTES);
+
+    // Spatial hash for pair forces (skipped entirely when LJ is off)
+    if (this.params.ljEpsilon > 0) {
+      const cells = this.hashGrid.dims ** 3;
+      const hashPass = encoder.beginComputePass();
+      hashPass.setPipeline(this.hashClearPipeline);
+      hashPass.setBindGroup(0, this.hashClearBindGroup);
+      hashPass.dispatchWorkgroups(Math.ceil(cells / 64));
+      hashPass.setPipeline(this.hashInsertPipeline);
+      hashPass.setBindGroup(0, this.hashInsertBindGroup);
+      hashPass.dispatchWorkgroups(Math.ceil(this.particleCount / 256));
+      hashPass.setPipeline(this.hashSortPipeline);
+      hashPass.setBindGroup(0, this.hashSortBindGroup);
+      hashPass.dispatchWorkgroups(Math.ceil(cells / 64));
+      hashPass.end();
+    }
+
+    const physPass = encoder.beginComputePass();
+    physPass.setPipeline(this.physicsPipeline);
+    physPass.setBindGroup(0, this.physicsBindGroup);
+    physPass.dispatchWorkgroups(Math.ceil(this.particleCount / 256));
+    physPass.end();
+  }
+
+  /**
+   * @param {{ physics?: boolean, steps?: number, minSteps?: number }} options -
+   *   physics: false skips the hash and physics passes, only measuring and
+   *   drawing the current particles (e.g. a state just written by
+   *   writeParticles); steps runs exactly that many physics steps instead of
+   *   the accumulator's; minSteps runs at least that many (single step)
+   * @returns {number} physics steps taken
+   */
+  frame(dt, tOrder, time, camera, { physics = true, steps, minSteps = 0 } = {}) {
     const d = this.device;
-    this.updateUniforms(dt, tOrder, time, camera);
 
+    // 1. Fixed physics steps covering this frame
+    const h = stepSize(this.params.substeps);
+    const n = physics ? steps ?? this.accumulator.take(dt, h, minSteps) : 0;
+    // LJ may have just been switched on (or off): size the hash to match
+    if (n > 0 && this._updateHashGrid()) this._createBindGroups();
+    d.queue.writeBuffer(this.hashOverflowBuffer, 0, new Uint32Array(1));
     const encoder = d.createCommandEncoder();
+    const stages = this.params.integrator === Integrator.VERLET ? 2 : 1;
+    const dispatches = n * stages;
+    if (dispatches > 0) {
+      this._ensurePhysicsSlots(dispatches);
+      const slots = new ArrayBuffer(dispatches * PHYSICS_UNIFORM_BYTES);
+      const physF = new Float32Array(slots);
+      const physU = new Uint32Array(slots);
+      for (let i = 0; i < n; i++) {
+        for (let stage = 0; stage < stages; stage++) {
+          this._packPhysicsUniforms(physF, physU, i * stages + stage, h, tOrder, stage);
+        }
+        this.step++;
+      }
+      d.queue.writeBuffer(this.physicsSlotBuffer, 0, slots);
+      this._writeHashUniforms();
+      for (let slot = 0; slot < dispatches; slot++) this._encodePhysics(encoder, slot);
+    }
 
-    // 1. Clear density volume
+    this.updateUniforms(time, camera);
+
+    // 2. Clear density volume
     const clearPass = encoder.beginComputePass();
     clearPass.setPipeline(this.densityClearPipeline);
     clearPass.setBindGroup(0, this.densityClearBindGroup);
     clearPass.dispatchWorkgroups(Math.ceil(GRID_VOXELS / 64));
     clearPass.end();
 
-    // 2. Physics
-    const physPass = encoder.beginComputePass();
-    physPass.setPipeline(this.physicsPipeline);
-    physPass.setBindGroup(0, this.physicsBindGroup);
-    physPass.dispatchWorkgroups(Math.ceil(PARTICLE_COUNT / 256));
-    physPass.end();
-
     // 3. Density splat
     const splatPass = encoder.beginComputePass();
     splatPass.setPipeline(this.densitySplatPipeline);
     splatPass.setBindGroup(0, this.densitySplatBindGroup);
-    splatPass.dispatchWorkgroups(Math.ceil(PARTICLE_COUNT / 256));
+    splatPass.dispatchWorkgroups(Math.ceil(this.particleCount / 256));
     splatPass.end();
 
     // 4. Copy density buffer to read buffer (atomic -> non-atomic)
     encoder.copyBufferToBuffer(this.densityBuffer, 0, this.densityReadBuffer, 0, GRID_VOXELS * 4);
+    if (this.volumeMode !== 'density') {
+      encoder.copyBufferToBuffer(this.temperatureBuffer, 0, this.temperatureReadBuffer, 0, GRID_VOXELS * 4);
+    }
 
-    // 5. Clear histogram
+    // 5. Positional entropy moments from the density grid
+    if (this.trackDensity) {
+      const entropyPass = encoder.beginComputePass();
+      entropyPass.setPipeline(this.densityEntropyPipeline);
+      entropyPass.setBindGroup(0, this.densityEntropyBindGroup);
+      entropyPass.dispatchWorkgroups(DENSITY_PARTIALS);
+      entropyPass.end();
+    }
+
+    // 6. Clear histogram
     const histClearPass = encoder.beginComputePass();
     histClearPass.setPipeline(this.histogramClearPipeline);
     histClearPass.setBindGroup(0, this.histogramClearBindGroup);
-    histClearPass.dispatchWorkgroups(1); // 64 threads in 1 workgroup
+    histClearPass.dispatchWorkgroups(Math.ceil(HIST_SIZE / 64));
     histClearPass.end();
 
-    // 6. Histogram binning
+    // 7. Histogram binning
     const histPass = encoder.beginComputePass();
     histPass.setPipeline(this.histogramPipeline);
     histPass.setBindGroup(0, this.histogramBindGroup);
-    histPass.dispatchWorkgroups(Math.ceil(PARTICLE_COUNT / 256));
+    histPass.dispatchWorkgroups(Math.ceil(this.particleCount / 256));
     histPass.end();
 
-    // 6. Render pass (fullscreen quad + raymarch)
+    // 8. Render pass (fullscreen quad + raymarch)
+    this._encodeRender(encoder);
+
+    d.queue.submit([encoder.finish()]);
+
+    // 9. Copy histogram to readback in SEPARATE submit (so render isn't affected)
+    const rbIdx = this.currentReadback;
+    const rbBuf = this.histReadbackBuffers[rbIdx];
+    if (rbBuf.mapState === 'unmapped') {
+      // Only the slots in use; density partials sit after the full-size histogram
+      const binning = this.binning;
+      const histBytes = histogramSize(binning.bins) * 4;
+      const withDensity = this.trackDensity;
+      const copyEncoder = d.createCommandEncoder();
+      copyEncoder.copyBufferToBuffer(this.histogramBuffer, 0, rbBuf, 0, histBytes);
+      if (withDensity) {
+        copyEncoder.copyBufferToBuffer(this.densityPartialsBuffer, 0, rbBuf, HIST_SIZE * 4, DENSITY_PARTIALS * 8);
+      }
+      copyEncoder.copyBufferToBuffer(this.hashOverflowBuffer, 0, rbBuf, OVERFLOW_OFFSET, 4);
+      d.queue.submit([copyEncoder.finish()]);
+
+      // 10. Async readback of this buffer (awaitable, e.g. by the parity harness)
+      this.lastReadback = rbBuf.mapAsync(GPUMapMode.READ).then(() => {
+        const mapped = rbBuf.getMappedRange();
+        const hist = new Uint32Array(mapped.slice(0, histBytes));
+        let density = null;
+        if (withDensity) {
+          const partials = new Float32Array(mapped, HIST_SIZE * 4, DENSITY_PARTIALS * 2);
+          let sum = 0, sumXLogX = 0;
+          for (let i = 0; i < DENSITY_PARTIALS; i++) {
+            sum += partials[i * 2];
+            sumXLogX += partials[i * 2 + 1];
+          }
+          density = { sum, sumXLogX };
+        }
+        const hashOverflow = new Uint32Array(mapped, OVERFLOW_OFFSET, 1)[0];
+        rbBuf.unmap();
+        this.pendingObservables = { ...splitHistogram(hist, binning.bins), density, binning, hashOverflow };
+      }).catch(() => {
+        // Buffer busy, skip
+      });
+
+      this.currentReadback = 1 - this.currentReadback;
+    }
+    return n;
+  }
+
+  /**
+   * Redraw the current volume from a new camera without stepping physics
+   * (paused scene). The density grid from the last frame is reused.
+   */
+  render(time, camera) {
+    const d = this.device;
+    this._writeRaymarchUniforms(time, camera);
+    const encoder = d.createCommandEncoder();
+    // The temperature copy is skipped in density mode; refresh it in case the mode just changed
+    if (this.volumeMode !== 'density') {
+      encoder.copyBufferToBuffer(this.temperatureBuffer, 0, this.temperatureReadBuffer, 0, GRID_VOXELS * 4);
+    }
+    this._encodeRender(encoder);
+    d.queue.submit([encoder.finish()]);
+  }
+
+  _encodeRender(encoder) {
     const textureView = this.context.getCurrentTexture().createView();
     const renderPass = encoder.beginRenderPass({
       colorAttachments: [{
@@ -511,32 +976,86 @@ export class WebGPURenderer {
     renderPass.setBindGroup(0, this.renderBindGroup);
     renderPass.draw(3); // fullscreen triangle
     renderPass.end();
+  }
 
-    d.queue.submit([encoder.finish()]);
+  /** Float offsets within one particle of the arrays below. */
+  get particleLayout() {
+    return { stride: PARTICLE_STRIDE / 4, position: 0, velocity: 4 };
+  }
 
-    // 7. Copy histogram to readback in SEPARATE submit (so render isn't affected)
-    const rbIdx = this.currentReadback;
-    const rbBuf = this.histReadbackBuffers[rbIdx];
-    if (rbBuf.mapState === 'unmapped') {
-      const copyEncoder = d.createCommandEncoder();
-      copyEncoder.copyBufferToBuffer(this.histogramBuffer, 0, rbBuf, 0, HIST_BINS * 4);
-      d.queue.submit([copyEncoder.finish()]);
+  /**
+   * Copy the particle buffer back to the CPU.
+   * @returns {Promise<Float32Array | null>} null if every staging buffer is
+   *   still in flight (the caller just misses this frame)
+   */
+  readParticles() {
+    const d = this.device;
+    const bytes = this.particleCount * PARTICLE_STRIDE;
+    // Drop idle buffers left over from another particle count
+    this.particleStaging = this.particleStaging.filter((b) => {
+      if (b.size === bytes || b.mapState !== 'unmapped') return true;
+      b.destroy();
+      return false;
+    });
+    let staging = this.particleStaging.find(b => b.size === bytes && b.mapState === 'unmapped');
+    if (!staging) {
+      if (this.particleStaging.length >= 4) return Promise.resolve(null);
+      staging = d.createBuffer({ size: bytes, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      this.particleStaging.push(staging);
+    }
 
-      // 8. Async readback of this buffer
-      rbBuf.mapAsync(GPUMapMode.READ).then(() => {
-        const data = new Uint32Array(rbBuf.getMappedRange().slice(0));
-        rbBuf.unmap();
-        this.pendingHistogram = data;
-      }).catch(() => {
-        // Buffer busy, skip
-      });
+    const encoder = d.createCommandEncoder();
+    encoder.copyBufferToBuffer(this.particleBuffer, 0, staging, 0, bytes);
+    d.queue.submit([encoder.finish()]);
+    return staging.mapAsync(GPUMapMode.READ).then(() => {
+      const data = new Float32Array(staging.getMappedRange().slice(0));
+      staging.unmap();
+      return data;
+    }).catch(() => null);
+  }
 
-      this.currentReadback = 1 - this.currentReadback;
-    }
+  /** Overwrite every particle (same layout and count as readParticles). */
+  writeParticles(data) {
+    this.device.queue.writeBuffer(this.particleBuffer, 0, data);
   }
 
   getHistogram() {
-    return this.pendingHistogram;
+    return this.pendingObservables ? this.pendingObservables.speed : null;
+  }
+
+  /**
+   * Latest readback of every entropy observable, plus how many particles
+   * the spatial hash dropped from full cells during that frame.
+   * @returns {{ speed: Uint32Array, direction: Uint32Array, joint: Uint32Array,
+   *             density: { sum: number, sumXLogX: number } | null,
+   *             binning: import('./binning.js').Binning, hashOverflow: number } | null}
+   */
+  getObservables() {
+    return this.pendingObservables;
+  }
+
+  /** Only positional entropy needs the (costlier) density reduction. */
+  setObservable(key) {
+    this.trackDensity = key === 'position';
+  }
+
+  /** Raymarch samples per pixel (offline renders trade speed for smoother volumes). */
+  setMarchSteps(steps) {
+    this.marchSteps = Math.max(1, Math.floor(steps));
+  }
+
+  /** Drop the part-step of frame time carried over, so stepping starts clean. */
+  resetAccumulator() {
+    this.accumulator.reset();
+  }
+
+  /**
+   * Choose what colors the volume: 'density', 'temperature' or 'product'
+   * (see VOLUME_MODES). Opacity always follows density.
+   */
+  setVolumeMode(mode) {
+    if (!VOLUME_MODES[mode]) throw new Error(`Unknown volume mode: ${mode}`);
+    this.volumeMode = mode;
   }
 
   resize(w, h) {
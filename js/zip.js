@@ -0,0 +1,108 @@
+/**
+ * Minimal ZIP writer: STORE (no compression — PNGs are already deflated),
+ * CRC-32, no ZIP64, so at most 65535 entries and 4 GiB in total.
+ * File data is kept as Blobs, letting the browser page large sequences
+ * out of memory; only CRC computation needs the bytes.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 (IEEE), unsigned
+ */
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];    // local headers + data, in order
+    this.central = [];  // central directory records
+    this.count = 0;     // entries
+    this.offset = 0;
+    this.date = dosDateTime(new Date());
+  }
+
+  /**
+   * @param {string} name - path inside the archive
+   * @param {Uint8Array | Blob} data
+   */
+  async add(name, data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(bytes);
+    const size = bytes.length;
+    if (this.count >= MAX_ENTRIES || this.offset + 30 + nameBytes.length + size > MAX_OFFSET) {
+      throw new Error('Zip too large (no ZIP64 support)');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);   // local file header signature
+    local.setUint16(4, 20, true);           // version needed
+    local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+    local.setUint16(8, 0, true);            // method: STORE
+    local.setUint16(10, this.date.time, true);
+    local.setUint16(12, this.date.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);        // compressed size
+    local.setUint32(22, size, true);        // uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);           // extra length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);         // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, this.date.time, true);
+    central.setUint16(14, this.date.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    // extra, comment, disk number, internal + external attributes stay 0
+    central.setUint32(42, this.offset, true);
+
+    this.parts.push(local, nameBytes, data instanceof Uint8Array ? bytes : data);
+    this.central.push(central, nameBytes);
+    this.count++;
+    this.offset += 30 + nameBytes.length + size;
+  }
+
+  /** @returns {Blob} the finished archive */
+  finish() {
+    let dirSize = 0;
+    for (const part of this.central) dirSize += part.byteLength;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);     // end of central directory signature
+    end.setUint16(8, this.count, true);     // entries on this disk
+    end.setUint16(10, this.count, true);    // entries total
+    end.setUint32(12, dirSize, true);
+    end.setUint32(16, this.offset, true);   // central directory offset
+
+    return new Blob([...this.parts, ...this.central, end], { type: 'application/zip' });
+  }
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
\ No newline at end of file
@@ -1,10 +1,12 @@
-// Zero the 64^3 density volume before splatting.
+// Zero the 64^3 density and temperature volumes before splatting.
 
 @group(0) @binding(0) var<storage, read_write> density: array<atomic<u32>>;
+@group(0) @binding(1) var<storage, read_write> temperature: array<atomic<u32>>;
 
 @compute @workgroup_size(64)
 fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
   let idx = gid.x;
   if (idx >= 262144u) { return; } // 64^3
   atomicStore(&density[idx], 0u);
+  atomicStore(&temperature[idx], 0u);
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Reduce the 64^3 density grid to the two moments positional entropy needs:
+// S = sum(d) and T = sum(d * log2(d)). One partial per workgroup; the CPU
+// adds the partials and takes H = log2(S) - T / S.
+
+@group(0) @binding(0) var<storage, read> density: array<u32>;
+@group(0) @binding(1) var<storage, read_write> partials: array<vec2<f32>>;
+
+var<workgroup> sums: array<vec2<f32>, 256>;
+
+@compute @workgroup_size(256)
+fn main(
+  @builtin(global_invocation_id) gid: vec3<u32>,
+  @builtin(local_invocation_index) lid: u32,
+  @builtin(workgroup_id) wid: vec3<u32>,
+) {
+  var v = vec2<f32>(0.0);
+  if (gid.x < arrayLength(&density)) {
+    let d = f32(density[gid.x]);
+    if (d > 0.0) {
+      v = vec2<f32>(d, d * log2(d));
+    }
+  }
+  sums[lid] = v;
+  workgroupBarrier();
+
+  // Tree reduction in shared memory
+  for (var stride = 128u; stride > 0u; stride = stride >> 1u) {
+    if (lid < stride) {
+      sums[lid] = sums[lid] + sums[lid + stride];
+    }
+    workgroupBarrier();
+  }
+
+  if (lid == 0u) {
+    partials[wid.x] = sums[0];
+  }
+}
\ No newline at end of file
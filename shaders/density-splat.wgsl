@@ -1,5 +1,7 @@
 // Each particle writes a Gaussian contribution to the 64^3 density volume.
 // Uses atomicAdd on u32 (fixed-point: value * 1000).
+// The temperature volume gets the same contribution scaled by v²/3 (kT per
+// component, unit mass), so temperature / density is the local mean kT.
 
 struct Particle {
   position: vec3<f32>,
@@ -24,6 +26,7 @@ struct DensityUniforms {
 @group(0) @binding(0) var<storage, read> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read_write> density: array<atomic<u32>>;
 @group(0) @binding(2) var<uniform> uniforms: DensityUniforms;
+@group(0) @binding(3) var<storage, read_write> temperature: array<atomic<u32>>;
 
 fn worldToGrid(pos: vec3<f32>) -> vec3<f32> {
   let normalized = (pos - uniforms.grid_min) / (uniforms.grid_max - uniforms.grid_min);
@@ -49,6 +52,7 @@ fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
 
   // Velocity-dependent intensity: faster particles glow brighter
   let speed_factor = 1.0 + p.speed * 0.3;
+  let kt = p.speed * p.speed / 3.0;
 
   for (var dz = -r; dz <= r; dz++) {
     for (var dy = -r; dy <= r; dy++) {
@@ -69,10 +73,12 @@ fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
         let weight = exp(-dist * dist / (2.0 * sigma * sigma));
 
         // Fixed-point: multiply by 1000 for u32 precision
-        let contribution = u32(weight * uniforms.splat_strength * speed_factor * 1000.0);
+        let amount = weight * uniforms.splat_strength * speed_factor * 1000.0;
+        let contribution = u32(amount);
         if (contribution > 0u) {
           let gi = gridIndex(u32(cell.x), u32(cell.y), u32(cell.z));
           atomicAdd(&density[gi], contribution);
+          atomicAdd(&temperature[gi], u32(amount * kt));
         }
       }
     }
@@ -0,0 +1,10 @@
+// Zero the spatial-hash cell counters before inserting particles.
+
+@group(0) @binding(0) var<storage, read_write> cell_counts: array<atomic<u32>>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+  let idx = gid.x;
+  if (idx >= arrayLength(&cell_counts)) { return; }
+  atomicStore(&cell_counts[idx], 0u);
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+// Insert every particle into the uniform-grid spatial hash for pair forces.
+// Each cell holds up to max_per_cell entries; overflow is dropped and
+// counted, since which particles win the race isn't reproducible.
+// Entries carry a position snapshot (xyz, f32 bits) and the particle index (w)
+// so the physics pass never reads positions other threads are writing.
+
+struct Particle {
+  position: vec3<f32>,
+  _pad0: f32,
+  velocity: vec3<f32>,
+  speed: f32,
+  home_position: vec3<f32>,
+  _pad1: f32,
+};
+
+struct HashUniforms {
+  origin: f32,          // grid min on every axis
+  cell_size: f32,       // >= interaction cutoff
+  dims: u32,            // cells per axis
+  max_per_cell: u32,
+  particle_count: u32,
+  _pad0: u32,
+  _pad1: u32,
+  _pad2: u32,
+};
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read_write> cell_counts: array<atomic<u32>>;
+@group(0) @binding(2) var<storage, read_write> cell_entries: array<vec4<u32>>;
+@group(0) @binding(3) var<uniform> uniforms: HashUniforms;
+@group(0) @binding(4) var<storage, read_write> overflow: atomic<u32>;
+
+@compute @workgroup_size(256)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+  let idx = gid.x;
+  if (idx >= uniforms.particle_count) { return; }
+
+  let pos = particles[idx].position;
+
+  // Clamp outliers into edge cells — still finds every partner within cutoff
+  let g = floor((pos - vec3<f32>(uniforms.origin)) / uniforms.cell_size);
+  let c = vec3<u32>(clamp(g, vec3<f32>(0.0), vec3<f32>(f32(uniforms.dims - 1u))));
+  let ci = c.x + c.y * uniforms.dims + c.z * uniforms.dims * uniforms.dims;
+
+  let slot = atomicAdd(&cell_counts[ci], 1u);
+  if (slot < uniforms.max_per_cell) {
+    cell_entries[ci * uniforms.max_per_cell + slot] = vec4<u32>(bitcast<vec3<u32>>(pos), idx);
+  } else {
+    atomicAdd(&overflow, 1u);
+  }
+}
\ No newline at end of file
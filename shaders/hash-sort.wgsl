@@ -0,0 +1,39 @@
+// Sort each spatial-hash cell by particle index (one thread per cell).
+// atomicAdd order in hash-insert is arbitrary; sorting makes the pair-force
+// summation order — and so the float result — identical run to run.
+
+struct HashUniforms {
+  origin: f32,
+  cell_size: f32,
+  dims: u32,
+  max_per_cell: u32,
+  particle_count: u32,
+  _pad0: u32,
+  _pad1: u32,
+  _pad2: u32,
+};
+
+@group(0) @binding(0) var<storage, read> cell_counts: array<u32>;
+@group(0) @binding(1) var<storage, read_write> cell_entries: array<vec4<u32>>;
+@group(0) @binding(2) var<uniform> uniforms: HashUniforms;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+  let ci = gid.x;
+  if (ci >= arrayLength(&cell_counts)) { return; }
+
+  let n = min(cell_counts[ci], uniforms.max_per_cell);
+  let base = ci * uniforms.max_per_cell;
+
+  // Insertion sort — cells are small
+  for (var i = 1u; i < n; i++) {
+    let e = cell_entries[base + i];
+    let key = e.w;
+    var j = i;
+    while (j > 0u && cell_entries[base + j - 1u].w > key) {
+      cell_entries[base + j] = cell_entries[base + j - 1u];
+      j--;
+    }
+    cell_entries[base + j] = e;
+  }
+}
\ No newline at end of file
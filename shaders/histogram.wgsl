@@ -1,4 +1,10 @@
-// Bin particle speeds into 64 histogram buckets for Shannon entropy.
+// Bin particles into the combined observables histogram for Shannon entropy:
+//   [0, num_bins)              speed
+//   [num_bins, +128)           velocity direction, 8 cos(theta) bands x 16 phi sectors
+//   [num_bins + 128, +512)     joint position (4^3 cells) x speed (8 bins)
+//   [num_bins + 640]           fastest speed, as f32 bits (atomicMax; speeds are >= 0)
+// Layout mirrors js/observables.js; speed bins follow js/binning.js (linear
+// or logarithmic up to max_speed; the top bin also takes everything above).
 // Histogram must be cleared before this dispatch (done by histogram-clear pass).
 
 struct Particle {
@@ -12,11 +18,21 @@ struct Particle {
 
 struct HistUniforms {
   particle_count: u32,
-  num_bins: u32,
+  num_bins: u32,         // speed bins
   max_speed: f32,
-  _pad: f32,
+  log_bins: u32,         // 1 = logarithmic speed bins
+  grid_min: vec3<f32>,   // bounds for the joint position cells
+  _pad1: f32,
+  grid_max: vec3<f32>,
+  _pad2: f32,
 };
 
+const DIR_Z_BANDS = 8u;
+const DIR_PHI_SECTORS = 16u;
+const JOINT_POS_RES = 4u;
+const JOINT_SPEED_BINS = 8u;
+const LOG_MIN_FRACTION = 1e-3; // bin 1 starts at max_speed * this (log bins)
+
 @group(0) @binding(0) var<storage, read> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read_write> histogram: array<atomic<u32>>;
 @group(0) @binding(2) var<uniform> uniforms: HistUniforms;
@@ -26,8 +42,42 @@ fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
   let idx = gid.x;
   if (idx >= uniforms.particle_count) { return; }
 
-  let speed = particles[idx].speed;
-  let normalized = clamp(speed / uniforms.max_speed, 0.0, 0.9999);
-  let bin = u32(normalized * f32(uniforms.num_bins));
+  let p = particles[idx];
+  let speed = p.speed;
+  var bin: u32;
+  if (uniforms.log_bins != 0u) {
+    let lo = uniforms.max_speed * LOG_MIN_FRACTION;
+    if (speed < lo) {
+      bin = 0u;
+    } else {
+      let t = log(speed / lo) / log(1.0 / LOG_MIN_FRACTION);
+      bin = min(1u + u32(t * f32(uniforms.num_bins - 1u)), uniforms.num_bins - 1u);
+    }
+  } else {
+    let normalized = clamp(speed / uniforms.max_speed, 0.0, 0.9999);
+    bin = u32(normalized * f32(uniforms.num_bins));
+  }
   atomicAdd(&histogram[bin], 1u);
+
+  // Velocity direction — particles exactly at rest have none
+  let dir_base = uniforms.num_bins;
+  if (speed > 1e-6) {
+    let dz = p.velocity.z / speed;
+    let phi = atan2(p.velocity.y, p.velocity.x);
+    let band = min(u32((dz + 1.0) * 0.5 * f32(DIR_Z_BANDS)), DIR_Z_BANDS - 1u);
+    let sector = min(u32((phi + 3.14159265) / 6.2831853 * f32(DIR_PHI_SECTORS)), DIR_PHI_SECTORS - 1u);
+    atomicAdd(&histogram[dir_base + band * DIR_PHI_SECTORS + sector], 1u);
+  }
+
+  // Joint position x speed
+  let joint_base = dir_base + DIR_Z_BANDS * DIR_PHI_SECTORS;
+  let t = (p.position - uniforms.grid_min) / (uniforms.grid_max - uniforms.grid_min);
+  let c = vec3<u32>(clamp(floor(t * f32(JOINT_POS_RES)), vec3<f32>(0.0), vec3<f32>(f32(JOINT_POS_RES - 1u))));
+  let cell = c.x + c.y * JOINT_POS_RES + c.z * JOINT_POS_RES * JOINT_POS_RES;
+  let speed_bin = bin * JOINT_SPEED_BINS / uniforms.num_bins;
+  atomicAdd(&histogram[joint_base + cell * JOINT_SPEED_BINS + speed_bin], 1u);
+
+  // Fastest speed, for the adaptive binning range
+  let max_slot = joint_base + JOINT_POS_RES * JOINT_POS_RES * JOINT_POS_RES * JOINT_SPEED_BINS;
+  atomicMax(&histogram[max_slot], bitcast<u32>(speed));
 }
\ No newline at end of file
@@ -2,6 +2,11 @@
 // Spring forces pull toward crystal lattice positions.
 // Brownian noise kicks particles into chaos.
 // t_order blends between the two regimes.
+// Optional Lennard-Jones pair forces via the spatial hash (lj_epsilon > 0).
+// In thermostat mode a Langevin step replaces damping + noise.
+// integrator picks Euler, semi-implicit Euler or velocity Verlet; Verlet is
+// dispatched twice per step (stage 0 kick-drift, stage 1 kick + the rest).
+// Step order and constants follow js/physics-spec.js (sim-core.js is the CPU twin).
 
 struct Particle {
   position: vec3<f32>,
@@ -19,14 +24,34 @@ struct Uniforms {
   damping_chaos: f32,
   noise_strength: f32,
   spring_k: f32,
-  time: f32,
+  step: u32,              // physics steps since reset — with seed, picks the noise
   particle_count: u32,
+  lj_epsilon: f32,        // 0 disables pair forces
+  lj_sigma: f32,
+  lj_cutoff: f32,         // absolute distance
+  lj_max_force: f32,      // per-pair clamp
+  hash_origin: f32,       // spatial hash grid min on every axis
+  hash_cell_size: f32,
+  hash_dims: u32,
+  hash_max_per_cell: u32,
+  thermostat: u32,        // 1 = Langevin thermostat on
+  temperature: f32,       // target kT (unit mass)
+  gamma: f32,             // thermostat friction, 1/s
+  seed: u32,
+  integrator: u32,        // 0 Euler, 1 semi-implicit, 2 velocity Verlet
+  stage: u32,             // Verlet only: 0 kick-drift, 1 closing kick
+  max_speed: f32,         // 0 = no speed cap
+  _pad: f32,
 };
 
+const STEP_DT = 1.0 / 60.0; // damping and noise are defined per 1/60 s step
+
 @group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
 @group(0) @binding(1) var<uniform> uniforms: Uniforms;
+@group(0) @binding(2) var<storage, read> cell_counts: array<u32>;
+@group(0) @binding(3) var<storage, read> cell_entries: array<vec4<u32>>;
 
-// PCG hash for deterministic randomness per particle per frame
+// PCG hash for deterministic randomness per particle per step (mirrored in random.js)
 fn pcg(v: u32) -> u32 {
   var state = v * 747796405u + 2891336453u;
   var word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
@@ -44,6 +69,48 @@ fn randNormal(seed1: u32, seed2: u32) -> f32 {
   return sqrt(-2.0 * log(u1)) * cos(6.2831853 * u2);
 }
 
+// Lennard-Jones force on particle idx from every hashed neighbour within cutoff.
+// Cells are visited dz, dy, dx and entries in index order (see hash-sort).
+fn pairForce(pos: vec3<f32>, idx: u32) -> vec3<f32> {
+  let dims = i32(uniforms.hash_dims);
+  let g = vec3<i32>(clamp(
+    floor((pos - vec3<f32>(uniforms.hash_origin)) / uniforms.hash_cell_size),
+    vec3<f32>(0.0),
+    vec3<f32>(f32(dims - 1))
+  ));
+  let rc2 = uniforms.lj_cutoff * uniforms.lj_cutoff;
+  let s2 = uniforms.lj_sigma * uniforms.lj_sigma;
+  var force = vec3<f32>(0.0);
+
+  for (var dz = -1; dz <= 1; dz++) {
+    for (var dy = -1; dy <= 1; dy++) {
+      for (var dx = -1; dx <= 1; dx++) {
+        let c = g + vec3<i32>(dx, dy, dz);
+        if (any(c < vec3<i32>(0)) || any(c >= vec3<i32>(dims))) { continue; }
+
+        let ci = u32(c.x + c.y * dims + c.z * dims * dims);
+        let n = min(cell_counts[ci], uniforms.hash_max_per_cell);
+        let base = ci * uniforms.hash_max_per_cell;
+        for (var s = 0u; s < n; s++) {
+          let e = cell_entries[base + s];
+          if (e.w == idx) { continue; }
+          let d = pos - bitcast<vec3<f32>>(e.xyz);
+          let r2 = dot(d, d);
+          if (r2 >= rc2 || r2 < 1e-8) { continue; }
+          let sr2 = s2 / r2;
+          let sr6 = sr2 * sr2 * sr2;
+          let r = sqrt(r2);
+          // |F| = 24ε(2·sr^12 − sr^6)/r, clamped, then projected onto d/r
+          let mag = clamp(24.0 * uniforms.lj_epsilon * (2.0 * sr6 * sr6 - sr6) / r,
+                          -uniforms.lj_max_force, uniforms.lj_max_force) / r;
+          force += d * mag;
+        }
+      }
+    }
+  }
+  return force;
+}
+
 @compute @workgroup_size(256)
 fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
   let idx = gid.x;
@@ -52,34 +119,65 @@ fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
   var p = particles[idx];
   let dt = uniforms.dt;
   let t = uniforms.t_order;
+  let verlet = uniforms.integrator == 2u;
 
   // ── Spring force toward home (scales with t_order) ──
   let displacement = p.home_position - p.position;
   let spring_force = displacement * uniforms.spring_k * t;
 
-  // ── Brownian noise (scales with 1 - t_order) ──
-  let frame_seed = bitcast<u32>(uniforms.time * 1000.0) + idx * 3u;
-  let nx = randNormal(frame_seed, frame_seed + 1u) * uniforms.noise_strength * (1.0 - t);
-  let ny = randNormal(frame_seed + 2u, frame_seed + 3u) * uniforms.noise_strength * (1.0 - t);
-  let nz = randNormal(frame_seed + 4u, frame_seed + 5u) * uniforms.noise_strength * (1.0 - t);
-  let noise_force = vec3<f32>(nx, ny, nz);
+  // ── Pair forces (optional) ──
+  var pair_force = vec3<f32>(0.0);
+  if (uniforms.lj_epsilon > 0.0) {
+    pair_force = pairForce(p.position, idx);
+  }
+  let force = spring_force + pair_force;
+
+  // ── Verlet first stage: half kick, then drift to the new positions ──
+  if (verlet && uniforms.stage == 0u) {
+    p.velocity = p.velocity + force * (0.5 * dt);
+    p.position = p.position + p.velocity * dt;
+    particles[idx] = p;
+    return;
+  }
 
-  // ── Damping (more damping when ordered) ──
-  let damping = mix(uniforms.damping_chaos, uniforms.damping_ordered, t);
+  // ── Brownian noise (scales with 1 - t_order, and with √dt) ──
+  let frame_seed = pcg(uniforms.seed ^ pcg(uniforms.step)) + idx * 6u; // 6 seeds per particle
+  let gauss = vec3<f32>(
+    randNormal(frame_seed, frame_seed + 1u),
+    randNormal(frame_seed + 2u, frame_seed + 3u),
+    randNormal(frame_seed + 4u, frame_seed + 5u)
+  );
+  let noise_kick = gauss * uniforms.noise_strength * (1.0 - t) * sqrt(dt * STEP_DT);
 
   // ── Integrate ──
-  p.velocity = p.velocity * damping + (spring_force + noise_force) * dt;
+  let kick = select(dt, 0.5 * dt, verlet);
+  let v0 = p.velocity;
+  if (uniforms.thermostat != 0u) {
+    // Langevin: exact Ornstein-Uhlenbeck velocity update, stationary at
+    // <v_i^2> = kT per component, plus the deterministic forces
+    let c1 = exp(-uniforms.gamma * dt);
+    let c2 = sqrt(uniforms.temperature * (1.0 - c1 * c1));
+    p.velocity = p.velocity * c1 + gauss * c2 + force * kick;
+  } else {
+    // Damping (more damping when ordered), compounded per 1/60 s
+    let damping = pow(mix(uniforms.damping_chaos, uniforms.damping_ordered, t), dt / STEP_DT);
+    p.velocity = p.velocity * damping + force * kick + noise_kick;
+  }
 
-  // Clamp velocity to prevent explosion
-  let max_speed = 8.0;
+  // Optional speed cap (MAX_SPEED)
   let spd = length(p.velocity);
-  if (spd > max_speed) {
-    p.velocity = p.velocity * (max_speed / spd);
+  if (uniforms.max_speed > 0.0 && spd > uniforms.max_speed) {
+    p.velocity = p.velocity * (uniforms.max_speed / spd);
   }
 
-  p.position = p.position + p.velocity * dt;
+  // Drift (Verlet already moved in stage 0)
+  if (uniforms.integrator == 0u) {
+    p.position = p.position + v0 * dt;
+  } else if (uniforms.integrator == 1u) {
+    p.position = p.position + p.velocity * dt;
+  }
 
-  // Soft boundary: push back if too far from origin
+  // Soft boundary: push back if too far from origin (BOUNDARY_RADIUS, BOUNDARY_STIFFNESS)
   let dist_from_center = length(p.position);
   if (dist_from_center > 4.5) {
     let push = normalize(p.position) * (dist_from_center - 4.5) * 2.0;
@@ -1,5 +1,7 @@
 // Volumetric raymarcher: marches through 64^3 density field.
-// Beer-Lambert absorption, blackbody color from LUT, front-to-back compositing.
+// Beer-Lambert absorption from density, color from the LUT, front-to-back compositing.
+// color_mode picks what indexes the LUT: 0 density, 1 local temperature
+// (temperature / density = mean kT), 2 their product.
 
 struct RaymarchUniforms {
   inv_view: mat4x4<f32>,
@@ -14,14 +16,20 @@ struct RaymarchUniforms {
   screen_width: f32,
   screen_height: f32,
   absorption: f32,
+  color_mode: u32,
+  temp_scale: f32,      // kT at the top of the LUT
+  march_steps: u32,     // 96 real-time, more for offline renders
+  _pad2: f32,
 };
 
 @group(0) @binding(0) var<storage, read> density: array<u32>;
 @group(0) @binding(1) var<uniform> uniforms: RaymarchUniforms;
 @group(0) @binding(2) var color_lut: texture_1d<f32>;
 @group(0) @binding(3) var lut_sampler: sampler;
+@group(0) @binding(4) var<storage, read> temperature: array<u32>;
 
-fn sampleDensity(pos: vec3<f32>) -> f32 {
+// Trilinear sample of density (x) and temperature (y) at a world position
+fn sampleVolume(pos: vec3<f32>) -> vec2<f32> {
   let norm = (pos - uniforms.grid_min) / (uniforms.grid_max - uniforms.grid_min);
   let gf = norm * uniforms.grid_res;
   let gi = vec3<i32>(floor(gf));
@@ -30,7 +38,7 @@ fn sampleDensity(pos: vec3<f32>) -> f32 {
   let res = i32(uniforms.grid_res);
 
   // Trilinear interpolation
-  var result = 0.0;
+  var result = vec2<f32>(0.0);
   for (var dz = 0; dz <= 1; dz++) {
     for (var dy = 0; dy <= 1; dy++) {
       for (var dx = 0; dx <= 1; dx++) {
@@ -40,7 +48,7 @@ fn sampleDensity(pos: vec3<f32>) -> f32 {
         let idx = u32(cx + cy * res + cz * res * res);
 
         // Convert from fixed-point u32 (value * 1000) back to float
-        let val = f32(density[idx]) / 1000.0;
+        let val = vec2<f32>(f32(density[idx]), f32(temperature[idx])) / 1000.0;
 
         let wx = select(1.0 - frac.x, frac.x, dx == 1);
         let wy = select(1.0 - frac.y, frac.y, dy == 1);
@@ -93,27 +101,35 @@ fn fs_main(in: FSIn) -> @location(0) vec4<f32> {
 
   let tStart = max(hit.x, 0.0);
   let tEnd = hit.y;
-  let stepSize = (tEnd - tStart) / 96.0;  // Adaptive: 96 steps through volume
+  let stepSize = (tEnd - tStart) / f32(uniforms.march_steps);  // Adaptive: fixed step count through volume
 
   // Front-to-back compositing
   var accumulated_color = vec3<f32>(0.0);
   var accumulated_alpha = 0.0;
 
-  for (var i = 0u; i < 96u; i++) {
+  for (var i = 0u; i < uniforms.march_steps; i++) {
     if (accumulated_alpha > 0.97) { break; }
 
     let t = tStart + (f32(i) + 0.5) * stepSize;
     let pos = ro + rd * t;
 
-    // Sample density field
-    let d = sampleDensity(pos);
+    // Sample density + temperature fields
+    let v = sampleVolume(pos);
+    let d = v.x;
 
     if (d > 0.01) {
       // Beer-Lambert absorption
       let alpha = 1.0 - exp(-d * uniforms.absorption * stepSize);
 
-      // Sample color from LUT based on density (normalized)
-      let color_t = clamp(d * 0.15, 0.0, 1.0);
+      // Sample color from LUT based on density, temperature or both (normalized)
+      let density_t = clamp(d * 0.15, 0.0, 1.0);
+      let temp_t = clamp(v.y / d / uniforms.temp_scale, 0.0, 1.0);
+      var color_t = density_t;
+      if (uniforms.color_mode == 1u) {
+        color_t = temp_t;
+      } else if (uniforms.color_mode == 2u) {
+        color_t = density_t * temp_t;
+      }
       let lut_color = textureSampleLevel(color_lut, lut_sampler, color_t, 0.0).rgb;
 
       // Emission: denser regions glow brighter
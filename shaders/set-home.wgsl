@@ -0,0 +1,22 @@
+// Overwrite every particle's home_position from a packed vec4 array.
+// Dispatched once when the lattice type changes. Positions and velocities
+// are untouched, so the spring force re-forms the new crystal in place.
+
+struct Particle {
+  position: vec3<f32>,
+  _pad0: f32,
+  velocity: vec3<f32>,
+  speed: f32,
+  home_position: vec3<f32>,
+  _pad1: f32,
+};
+
+@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read> homes: array<vec4<f32>>;
+
+@compute @workgroup_size(256)
+fn main(@builtin(global_invocation_id) gid: vec3<u32>) {
+  let idx = gid.x;
+  if (idx >= arrayLength(&homes)) { return; }
+  particles[idx].home_position = homes[idx].xyz;
+}
\ No newline at end of file
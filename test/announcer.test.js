@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Announcer } from '../js/announcer.js';
+
+const entropyAt = (normalized) => ({ currentEntropy: normalized * 6, normalizedEntropy: normalized });
+
+test('announces state changes but not the initial state', () => {
+  const region = { textContent: '' };
+  const a = new Announcer(region);
+  a.update(entropyAt(0), { stateLabel: 'ORDER' }, 0);
+  assert.equal(region.textContent, '');
+  a.update(entropyAt(0.1), { stateLabel: 'SHATTERING' }, 1);
+  assert.equal(region.textContent, 'Shattering. Entropy 0.60 bits, 10% of maximum');
+});
+
+test('entropy readouts are rate-limited and need a real change', () => {
+  const region = { textContent: '' };
+  const a = new Announcer(region);
+  const sm = { stateLabel: 'CHAOS' };
+  a.update(entropyAt(0.5), sm, 0);
+  a.update(entropyAt(0.9), sm, 5);
+  assert.equal(region.textContent, '', 'too soon');
+  a.update(entropyAt(0.52), sm, 20);
+  assert.equal(region.textContent, '', 'too small a change');
+  a.update(entropyAt(0.9), sm, 21);
+  assert.equal(region.textContent, 'Entropy 5.40 bits, 90% of maximum');
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BinScheme, resolveBinning, speedBin, speedEdges, MAX_SPEED_BINS, LOG_MIN_FRACTION,
+} from '../js/binning.js';
+import { binParticles, splitHistogram, JOINT_SPEED_BINS } from '../js/observables.js';
+import { Simulation, PARTICLE_STRIDE, LAYOUT } from '../js/sim-core.js';
+import { SimParams } from '../js/sim-params.js';
+
+test('settings resolve to concrete bins; adaptive follows the observed max', () => {
+  const params = new SimParams();
+  assert.deepEqual(resolveBinning(params), { bins: 64, maxSpeed: 8, log: false });
+  params.set('histBins', 1000);
+  params.set('histScheme', BinScheme.LOG);
+  assert.deepEqual(resolveBinning(params), { bins: MAX_SPEED_BINS, maxSpeed: 8, log: true });
+  params.set('histScheme', BinScheme.ADAPTIVE);
+  assert.ok(Math.abs(resolveBinning(params, 3).maxSpeed - 3.15) < 1e-12);
+  assert.ok(resolveBinning(params, 0).maxSpeed > 0);
+});
+
+test('linear bins match equal-width edges and clamp into the top bin', () => {
+  const binning = { bins: 64, maxSpeed: 8, log: false };
+  const edges = speedEdges(binning);
+  assert.equal(edges[64], 8);
+  assert.equal(speedBin(0, binning), 0);
+  assert.equal(speedBin(0.2, binning), 1);
+  assert.equal(speedBin(7.99, binning), 63);
+  assert.equal(speedBin(50, binning), 63);
+});
+
+test('log bins are equal in log speed and agree with their edges', () => {
+  const binning = { bins: 32, maxSpeed: 8, log: true };
+  const edges = speedEdges(binning);
+  assert.equal(edges[0], 0);
+  assert.ok(Math.abs(edges[1] - 8 * LOG_MIN_FRACTION) < 1e-15);
+  assert.ok(Math.abs(edges[32] - 8) < 1e-12);
+  assert.equal(speedBin(edges[1] / 2, binning), 0);
+  for (let k = 1; k < 32; k++) {
+    assert.equal(speedBin(Math.sqrt(edges[k] * edges[k + 1]), binning), k);
+  }
+  assert.equal(speedBin(100, binning), 31);
+});
+
+test('CPU binning records the fastest speed and groups joint speed bins', () => {
+  const particles = new Float32Array(3 * PARTICLE_STRIDE);
+  [0.5, 2.5, 7.5].forEach((v, i) => { particles[i * PARTICLE_STRIDE + LAYOUT.speed] = v; });
+  const binning = { bins: 16, maxSpeed: 8, log: false };
+  const obs = splitHistogram(binParticles(particles, PARTICLE_STRIDE, 3, LAYOUT, binning), 16);
+  assert.equal(obs.speedMax, 7.5);
+  assert.deepEqual([1, 5, 15].map(k => obs.speed[k]), [1, 1, 1]);
+  // All three particles sit in one position cell: joint bins 16 → 8 speed groups
+  const joint = [...obs.joint.keys()].filter(i => obs.joint[i] > 0).map(i => i % JOINT_SPEED_BINS);
+  assert.deepEqual(joint, [0, 2, 7]);
+});
+
+test('bin settings change at runtime and travel with the observables', () => {
+  const params = new SimParams();
+  const sim = new Simulation(params, { particleCount: 64, seed: 1 });
+  sim.advance(1 / 60, 0);
+  assert.equal(sim.observables.speed.length, 64);
+  params.set('histBins', 16);
+  params.set('histScheme', BinScheme.ADAPTIVE);
+  sim.advance(1 / 60, 0);
+  assert.equal(sim.observables.speed.length, 16);
+  assert.equal(sim.observables.binning.bins, 16);
+  // Adaptive range comes from the previous measurement's fastest particle
+  const prevMax = sim.observables.speedMax;
+  sim.advance(1 / 60, 0);
+  assert.ok(Math.abs(sim.observables.binning.maxSpeed - Math.max(prevMax * 1.05, 0.1)) < 1e-6);
+  assert.equal(sim.entropy('speed').normalized <= 1, true);
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateColorLUT, PALETTES, DEFAULT_PALETTE, hexToRgb, rgbToHex,
+} from '../js/color-map.js';
+
+test('LUT is size x RGBA8', () => {
+  assert.equal(generateColorLUT().length, 256 * 4);
+  assert.equal(generateColorLUT(16).length, 16 * 4);
+});
+
+test('LUT endpoints hit the first and last stops exactly', () => {
+  const lut = generateColorLUT(256);
+  assert.deepEqual([...lut.subarray(0, 4)], [5, 10, 31, 255]);
+  assert.deepEqual([...lut.subarray(255 * 4)], [255, 245, 230, 255]);
+});
+
+test('endpoints do not depend on LUT size', () => {
+  for (const size of [2, 3, 64, 1024]) {
+    const lut = generateColorLUT(size);
+    assert.deepEqual([...lut.subarray(0, 4)], [5, 10, 31, 255]);
+    assert.deepEqual([...lut.subarray((size - 1) * 4)], [255, 245, 230, 255]);
+  }
+});
+
+test('alpha is opaque everywhere', () => {
+  const lut = generateColorLUT(256);
+  for (let i = 3; i < lut.length; i += 4) assert.equal(lut[i], 255);
+});
+
+test('brightness rises from cold to hot', () => {
+  const lut = generateColorLUT(256);
+  const luma = (i) => 0.2126 * lut[i * 4] + 0.7152 * lut[i * 4 + 1] + 0.0722 * lut[i * 4 + 2];
+  assert.ok(luma(0) < luma(64));
+  assert.ok(luma(64) < luma(255));
+});
+
+test('every named palette starts and ends on its own end stops', () => {
+  for (const [key, { stops }] of Object.entries(PALETTES)) {
+    const lut = generateColorLUT(256, key);
+    const first = stops[0].slice(1).map(v => Math.round(v * 255));
+    const last = stops[stops.length - 1].slice(1).map(v => Math.round(v * 255));
+    assert.deepEqual([...lut.subarray(0, 3)], first, key);
+    assert.deepEqual([...lut.subarray(255 * 4, 255 * 4 + 3)], last, key);
+  }
+});
+
+test('default palette is the original blackbody ramp', () => {
+  assert.equal(DEFAULT_PALETTE, 'blackbody');
+  assert.deepEqual(generateColorLUT(256), generateColorLUT(256, 'blackbody'));
+});
+
+test('custom ramps interpolate linearly and hold their end colors', () => {
+  const lut = generateColorLUT(5, { stops: [[0.25, 0, 0, 0], [0.75, 1, 1, 1]] });
+  assert.deepEqual([...lut.subarray(0, 4)], [0, 0, 0, 255]);
+  assert.deepEqual([...lut.subarray(8, 12)], [128, 128, 128, 255]);
+  assert.deepEqual([...lut.subarray(16, 20)], [255, 255, 255, 255]);
+});
+
+test('unknown palette keys throw', () => {
+  assert.throws(() => generateColorLUT(256, 'nope'), /Unknown palette/);
+});
+
+test('hex colors round-trip', () => {
+  for (const hex of ['#000000', '#14b8a6', '#f97316', '#ffffff']) {
+    assert.equal(rgbToHex(...hexToRgb(hex)), hex);
+  }
+});
\ No newline at end of file
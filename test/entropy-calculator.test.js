@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EntropyCalculator } from '../js/entropy-calculator.js';
+import { densityMoments } from '../js/observables.js';
+
+test('empty histogram has zero entropy', () => {
+  const calc = new EntropyCalculator(64);
+  assert.deepEqual(calc.compute(new Uint32Array(64)), { entropy: 0, normalized: 0 });
+  assert.deepEqual(calc.compute(new Uint32Array(0)), { entropy: 0, normalized: 0 });
+  assert.equal(calc.currentEntropy, 0);
+  assert.equal(calc.normalizedEntropy, 0);
+});
+
+test('all mass in one bin has zero entropy', () => {
+  const calc = new EntropyCalculator(64);
+  const hist = new Uint32Array(64);
+  hist[17] = 2048;
+  assert.equal(calc.compute(hist).entropy, 0);
+});
+
+test('uniform histogram reaches log2(bins)', () => {
+  const calc = new EntropyCalculator(64);
+  const { entropy, normalized } = calc.compute(new Uint32Array(64).fill(32));
+  assert.ok(Math.abs(entropy - 6) < 1e-12);
+  assert.ok(Math.abs(normalized - 1) < 1e-12);
+});
+
+test('two equal bins give one bit regardless of scale', () => {
+  const calc = new EntropyCalculator(64);
+  const hist = new Uint32Array(64);
+  hist[0] = 3; hist[63] = 3;
+  assert.ok(Math.abs(calc.compute(hist).entropy - 1) < 1e-12);
+  hist[0] = 100000; hist[63] = 100000;
+  assert.ok(Math.abs(calc.compute(hist).entropy - 1) < 1e-12);
+});
+
+test('moments path agrees with the histogram path', () => {
+  const calc = new EntropyCalculator(64);
+  const hist = new Uint32Array(64).map((_, i) => (i * 7919) % 13);
+  const direct = calc.compute(hist).entropy;
+  const fromMoments = calc.computeFromMoments(densityMoments(hist)).entropy;
+  assert.ok(Math.abs(direct - fromMoments) < 1e-9);
+  assert.deepEqual(calc.computeFromMoments({ sum: 0, sumXLogX: 0 }), { entropy: 0, normalized: 0 });
+});
+
+test('display value eases toward the normalized entropy', () => {
+  const calc = new EntropyCalculator(64);
+  calc.compute(new Uint32Array(64).fill(1));
+  let last = calc.displayEntropy;
+  for (let i = 0; i < 200; i++) {
+    calc.updateDisplay(1 / 60);
+    assert.ok(calc.displayEntropy >= last);
+    last = calc.displayEntropy;
+  }
+  assert.ok(Math.abs(calc.displayEntropy - 1) < 1e-6);
+});
+
+test('speed entropy is normalized by the bins the readback carries', () => {
+  const calc = new EntropyCalculator();
+  const speed = new Uint32Array(16).fill(5);
+  const { normalized } = calc.computeObservables({ speed, binning: { bins: 16, maxSpeed: 8, log: false } });
+  assert.equal(calc.numBins, 16);
+  assert.ok(Math.abs(normalized - 1) < 1e-12);
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SnapshotRing, snapshotCapacity, reverseVelocities, perturbPositions, rmsDistance,
+} from '../js/loschmidt.js';
+import { Simulation, PARTICLE_STRIDE, LAYOUT } from '../js/sim-core.js';
+import { SimParams } from '../js/sim-params.js';
+
+const layout = { stride: PARTICLE_STRIDE, ...LAYOUT };
+
+test('ring keeps the newest entries in order', () => {
+  const ring = new SnapshotRing(3);
+  for (let i = 0; i < 5; i++) ring.push({ i });
+  assert.equal(ring.size, 3);
+  assert.deepEqual([0, 1, 2].map(k => ring.at(k).i), [2, 3, 4]);
+  ring.clear();
+  assert.equal(ring.size, 0);
+});
+
+test('capacity follows the memory budget', () => {
+  assert.equal(snapshotCapacity(1000, 10_000), 10);
+  assert.equal(snapshotCapacity(1e9, 10), 2);
+});
+
+test('perturbation is seeded and about epsilon in size', () => {
+  const count = 2000;
+  const a = new Float32Array(count * PARTICLE_STRIDE);
+  const b = new Float32Array(count * PARTICLE_STRIDE);
+  perturbPositions(a, layout, count, 1e-3, 7);
+  perturbPositions(b, layout, count, 1e-3, 7);
+  assert.deepEqual(a, b);
+  const rms = rmsDistance(a, new Float32Array(a.length), layout, count);
+  assert.ok(rms > 1.5e-3 && rms < 2e-3, `rms ${rms} ≈ √3·ε`);
+});
+
+test('conservative CPU dynamics retrace their path when reversed', () => {
+  const params = new SimParams({ noiseStrength: 0, dampingOrdered: 1, dampingChaos: 1 });
+  const sim = new Simulation(params, { particleCount: 128, seed: 1 });
+  // Give the lattice a kick so there is motion to undo
+  perturbPositions(sim.particles, layout, sim.particleCount, 0.2, 3);
+  const start = sim.particles.slice();
+
+  for (let i = 0; i < 60; i++) sim.advance(1 / 120, 1);
+  assert.ok(rmsDistance(sim.particles, start, layout, sim.particleCount) > 0.05);
+  reverseVelocities(sim.particles, layout, sim.particleCount);
+  for (let i = 0; i < 60; i++) sim.advance(1 / 120, 1);
+
+  assert.ok(rmsDistance(sim.particles, start, layout, sim.particleCount) < 0.02);
+});
\ No newline at end of file
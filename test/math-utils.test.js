@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mat4Identity, mat4Perspective, mat4LookAt, mat4Inverse,
+} from '../js/math-utils.js';
+
+// Column-major mat4 * vec4
+function transform(m, [x, y, z, w = 1]) {
+  return [0, 1, 2, 3].map(r => m[r] * x + m[4 + r] * y + m[8 + r] * z + m[12 + r] * w);
+}
+
+function mat4Multiply(a, b) {
+  const out = new Float32Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + r] * b[c * 4 + k];
+      out[c * 4 + r] = sum;
+    }
+  }
+  return out;
+}
+
+function assertClose(actual, expected, eps = 1e-5) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps, `[${i}] ${actual[i]} != ${expected[i]}`);
+  }
+}
+
+test('mat4Inverse of identity is identity', () => {
+  assertClose(mat4Inverse(mat4Identity()), mat4Identity());
+});
+
+test('mat4Inverse times the original is identity', () => {
+  const view = mat4LookAt([3, 2, 6], [0, 0.5, 0], [0, 1, 0]);
+  const proj = mat4Perspective(Math.PI / 4, 16 / 9, 0.1, 100);
+  for (const m of [view, proj, mat4Multiply(proj, view)]) {
+    assertClose(mat4Multiply(m, mat4Inverse(m)), mat4Identity(), 1e-4);
+  }
+});
+
+test('mat4Inverse falls back to identity for singular matrices', () => {
+  assertClose(mat4Inverse(new Float32Array(16)), mat4Identity());
+  // Two equal columns
+  const m = new Float32Array([1, 2, 3, 4, 1, 2, 3, 4, 0, 1, 0, 0, 0, 0, 1, 0]);
+  assertClose(mat4Inverse(m), mat4Identity());
+});
+
+test('mat4LookAt puts the eye at the origin looking down -z', () => {
+  const eye = [0, 0, 5];
+  const view = mat4LookAt(eye, [0, 0, 0], [0, 1, 0]);
+  assertClose(transform(view, eye), [0, 0, 0, 1]);
+  assertClose(transform(view, [0, 0, 0]), [0, 0, -5, 1]);
+  assertClose(transform(view, [0, 1, 5]), [0, 1, 0, 1]);
+});
+
+test('mat4LookAt builds an orthonormal rotation', () => {
+  const view = mat4LookAt([4, -3, 2], [1, 1, 1], [0, 1, 0]);
+  const axes = [0, 1, 2].map(c => [view[c * 4], view[c * 4 + 1], view[c * 4 + 2]]);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      const dot = axes[i][0] * axes[j][0] + axes[i][1] * axes[j][1] + axes[i][2] * axes[j][2];
+      assert.ok(Math.abs(dot - (i === j ? 1 : 0)) < 1e-5);
+    }
+  }
+  // Distance to the target is preserved along -z
+  const target = transform(view, [1, 1, 1]);
+  assertClose(target, [0, 0, -Math.hypot(3, 4, 1), 1]);
+});
+
+test('mat4Perspective maps near and far planes to NDC -1 and +1', () => {
+  const near = 0.1, far = 100;
+  const proj = mat4Perspective(Math.PI / 2, 2, near, far);
+  const n = transform(proj, [0, 0, -near]);
+  const f = transform(proj, [0, 0, -far]);
+  assert.ok(Math.abs(n[2] / n[3] + 1) < 1e-5);
+  assert.ok(Math.abs(f[2] / f[3] - 1) < 1e-4);
+});
+
+test('mat4Perspective scales x by aspect and sets w = -z', () => {
+  const proj = mat4Perspective(Math.PI / 2, 2, 0.1, 100); // f = 1
+  assertClose([proj[0], proj[5], proj[11], proj[15]], [0.5, 1, -1, 0]);
+  const p = transform(proj, [1, 1, -1]);
+  assertClose([p[0] / p[3], p[1] / p[3], p[3]], [0.5, 1, 1]);
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  erf, maxwellCDF, maxwellBinProbabilities, klDivergence, fitMaxwellBoltzmann,
+} from '../js/maxwell-boltzmann.js';
+import { speedEdges } from '../js/binning.js';
+import { randNormal } from '../js/random.js';
+
+const edges = speedEdges({ bins: 64, maxSpeed: 8, log: false });
+
+test('erf and the speed CDF match reference values', () => {
+  assert.ok(Math.abs(erf(0.5) - 0.5204998778) < 2e-7);
+  assert.ok(Math.abs(erf(-1) + 0.8427007929) < 2e-7);
+  // Integrate the density numerically up to v = 2 at kT = 1.5
+  const kT = 1.5, n = 20000;
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const v = (i + 0.5) * (2 / n);
+    area += Math.sqrt(2 / Math.PI) * v * v / kT ** 1.5 * Math.exp(-v * v / (2 * kT)) * (2 / n);
+  }
+  assert.ok(Math.abs(maxwellCDF(2, kT) - area) < 1e-6);
+});
+
+test('bin probabilities sum to one with the tail in the top bin', () => {
+  const q = maxwellBinProbabilities(4, edges);
+  assert.ok(Math.abs(q.reduce((s, x) => s + x, 0) - 1) < 1e-12);
+  assert.ok(Math.abs(q[63] - (1 - maxwellCDF(edges[63], 4))) < 1e-12);
+});
+
+test('fit recovers kT from sampled thermal velocities', () => {
+  const kT = 1.2;
+  const counts = new Uint32Array(64);
+  for (let i = 0; i < 20000; i++) {
+    const s = i * 6;
+    const v = Math.sqrt(kT) * Math.hypot(randNormal(s, s + 1), randNormal(s + 2, s + 3), randNormal(s + 4, s + 5));
+    counts[Math.min(Math.floor(v / 8 * 64), 63)]++;
+  }
+  const fit = fitMaxwellBoltzmann(counts, edges);
+  assert.ok(Math.abs(fit.kT / kT - 1) < 0.03, `kT ${fit.kT}`);
+  assert.ok(fit.divergence < 0.02, `D ${fit.divergence}`);
+  assert.equal(fit.thermalised, true);
+});
+
+test('non-thermal histograms diverge; empty and resting ones are not thermal', () => {
+  const flat = new Uint32Array(64).fill(10);
+  const fit = fitMaxwellBoltzmann(flat, edges);
+  assert.ok(fit.divergence > 0.2, `D ${fit.divergence}`);
+  assert.equal(fit.thermalised, false);
+
+  assert.equal(fitMaxwellBoltzmann(new Uint32Array(64), edges), null);
+  assert.equal(fitMaxwellBoltzmann(null, edges), null);
+
+  const rest = new Uint32Array(64);
+  rest[0] = 2048;
+  assert.equal(fitMaxwellBoltzmann(rest, edges).thermalised, false);
+  assert.equal(klDivergence(rest, maxwellBinProbabilities(1, edges)) > 1, true);
+});
\ No newline at end of file
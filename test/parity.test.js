@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRuns, totalVariation } from '../js/parity.js';
+import { Simulation } from '../js/sim-core.js';
+import { SimParams } from '../js/sim-params.js';
+import { EntropyCalculator } from '../js/entropy-calculator.js';
+
+function cpuRun(seed, steps, count = 256) {
+  const sim = new Simulation(new SimParams(), { particleCount: count, seed });
+  const entropy = new EntropyCalculator(64);
+  const frames = [];
+  for (let i = 0; i < steps; i++) {
+    sim.advance(1 / 60, 0); // full chaos, so the noise dominates
+    frames.push({ entropy: entropy.compute(sim.observables.speed).entropy, histogram: sim.observables.speed });
+  }
+  return frames;
+}
+
+test('totalVariation is 0 for equal shapes and 1 for disjoint ones', () => {
+  assert.equal(totalVariation([1, 2, 3], [2, 4, 6]), 0);
+  assert.equal(totalVariation([1, 0], [0, 5]), 1);
+  assert.equal(totalVariation([1, 1], [1, 0]), 0.5);
+});
+
+test('totalVariation handles empty and missing histograms', () => {
+  assert.equal(totalVariation([0, 0], [0, 0]), 0);
+  assert.equal(totalVariation(null, null), 0);
+  assert.equal(totalVariation([0, 0], [1, 0]), 1);
+  assert.equal(totalVariation([1], [1, 0, 0]), 0);
+});
+
+test('compareRuns of a run with itself reports no divergence', () => {
+  const run = cpuRun(7, 30);
+  const c = compareRuns(run, run);
+  assert.equal(c.steps, 30);
+  assert.equal(c.entropy.max, 0);
+  assert.equal(c.histogram.max, 0);
+  assert.equal(c.firstDivergence, -1);
+});
+
+test('compareRuns finds the first step past tolerance', () => {
+  const a = [0, 1, 2, 3].map(entropy => ({ entropy, histogram: null }));
+  const b = [0, 1.01, 2.5, 3].map(entropy => ({ entropy, histogram: null }));
+  const c = compareRuns(a, b, 0.05);
+  assert.equal(c.firstDivergence, 2);
+  assert.ok(Math.abs(c.entropy.max - 0.5) < 1e-12);
+  assert.equal(c.entropy.final, 0);
+  assert.equal(c.firstOverflow, -1);
+  b[1].overflow = 3;
+  assert.equal(compareRuns(a, b).firstOverflow, 1);
+});
+
+
+test('CPU core is deterministic for a seed and varies across seeds', () => {
+  const a = cpuRun(42, 40);
+  const b = cpuRun(42, 40);
+  assert.equal(compareRuns(a, b).histogram.max, 0);
+
+  const other = compareRuns(a, cpuRun(43, 40));
+  assert.ok(other.histogram.max > 0);
+});
\ No newline at end of file
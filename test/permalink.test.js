@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePermalink, decodePermalink } from '../js/permalink.js';
+
+test('round-trips a full setup', () => {
+  const state = {
+    renderer: 'webgl',
+    particleCount: 4096,
+    lattice: 'fcc',
+    palette: 'viridis',
+    volumeMode: 'temperature',
+    observable: 'direction',
+    seed: 12345,
+    fixedDt: true,
+    camera: { theta: 0.421, phi: -0.3, zoom: 1.5, center: [0.1, 0, -0.25] },
+    params: { springK: 10.5, thermostat: 1 },
+  };
+  assert.deepEqual(decodePermalink('?' + encodePermalink(state)), state);
+});
+
+test('custom palettes encode as position-hex stops', () => {
+  const stops = [[0, 0, 0, 0], [0.5, 1, 0, 0], [1, 1, 1, 1]];
+  const query = encodePermalink({ palette: { stops } });
+  assert.match(query, /stops=0-000000_0\.5-ff0000_1-ffffff/);
+  assert.deepEqual(decodePermalink(query).palette, { stops });
+  const smooth = { stops, smooth: true };
+  assert.deepEqual(decodePermalink(encodePermalink({ palette: smooth })).palette, smooth);
+});
+
+test('drops unknown or malformed values', () => {
+  const state = decodePermalink('r=vulkan&n=-3&lattice=hex&palette=nope&cam=1_2_3&springK=abc&bogus=1');
+  assert.deepEqual(state, {});
+  assert.deepEqual(decodePermalink('palette=custom&stops=0-zzzzzz_1-ffffff'), {});
+});
+
+test('ignores inherited object keys as names', () => {
+  const state = decodePermalink('lattice=toString&palette=constructor&volume=valueOf&obs=hasOwnProperty');
+  assert.deepEqual(state, {});
+});
+
+test('text seeds hash like ?seed= always has', () => {
+  assert.equal(decodePermalink('seed=42').seed, 42);
+  assert.equal(typeof decodePermalink('seed=hello').seed, 'number');
+});
\ No newline at end of file
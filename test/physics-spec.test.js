@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  noiseVector, MAX_SPEED, BOUNDARY_RADIUS, STEP_DT, Integrator, stepSize, dampingFactor, noiseScale,
+} from '../js/physics-spec.js';
+import { pcg, stepSeed, randNormal } from '../js/random.js';
+import { Simulation, PARTICLE_STRIDE } from '../js/sim-core.js';
+import { SimParams } from '../js/sim-params.js';
+
+test('noiseVector is standard normal per component', () => {
+  const base = stepSeed(1, 0);
+  const g = [0, 0, 0];
+  const n = 20000;
+  const sum = [0, 0, 0], sq = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    noiseVector(base, i, g);
+    for (let a = 0; a < 3; a++) {
+      sum[a] += g[a];
+      sq[a] += g[a] * g[a];
+    }
+  }
+  for (let a = 0; a < 3; a++) {
+    assert.ok(Math.abs(sum[a] / n) < 0.05, `mean ${sum[a] / n}`);
+    assert.ok(Math.abs(sq[a] / n - 1) < 0.05, `var ${sq[a] / n}`);
+  }
+});
+
+test('noiseVector draws six consecutive hashes per particle, like physics.wgsl', () => {
+  const base = stepSeed(99, 5);
+  const g = noiseVector(base, 3, [0, 0, 0]);
+  const s = (base + 18) >>> 0;
+  assert.equal(g[0], randNormal(s, s + 1));
+  assert.equal(g[2], randNormal(s + 4, s + 5));
+  // Box-Muller from the raw hash
+  const u1 = Math.max(pcg(s) / 4294967295, 0.0001);
+  const u2 = pcg(s + 1) / 4294967295;
+  assert.equal(g[0], Math.sqrt(-2 * Math.log(u1)) * Math.cos(6.2831853 * u2));
+});
+
+test('CPU core respects the speed cap and caches |v| after the boundary kick', () => {
+  const params = new SimParams({ noiseStrength: 16, dampingChaos: 1 });
+  const sim = new Simulation(params, { particleCount: 128, seed: 3 });
+  for (let i = 0; i < 300; i++) sim.advance(1 / 20, 0);
+
+  const p = sim.particles;
+  let outside = 0;
+  for (let i = 0; i < sim.particleCount; i++) {
+    const b = i * PARTICLE_STRIDE;
+    const speed = Math.hypot(p[b + 3], p[b + 4], p[b + 5]);
+    assert.ok(Math.abs(p[b + 9] - speed) < 1e-5);
+    // The boundary kick comes after the clamp, so allow its small overshoot
+    assert.ok(speed <= MAX_SPEED + 0.5);
+    if (Math.hypot(p[b], p[b + 1], p[b + 2]) > BOUNDARY_RADIUS) outside++;
+  }
+  assert.ok(outside < sim.particleCount);
+});
+
+test('damping and noise scale with the step so substeps match one full step', () => {
+  assert.equal(stepSize(4), STEP_DT / 4);
+  assert.equal(stepSize(0), STEP_DT);
+  assert.ok(Math.abs(dampingFactor(0.97, STEP_DT / 4) ** 4 - 0.97) < 1e-12);
+  assert.ok(Math.abs(noiseScale(STEP_DT) - STEP_DT) < 1e-15);
+  // Four independent quarter-step kicks carry the variance of one full step
+  assert.ok(Math.abs(4 * noiseScale(STEP_DT / 4) ** 2 - STEP_DT ** 2) < 1e-15);
+});
+
+test('trajectory depends on simulated time, not on frame rate', () => {
+  const params = new SimParams();
+  const a = new Simulation(params, { particleCount: 64, seed: 5 });
+  const b = new Simulation(params, { particleCount: 64, seed: 5 });
+  for (let i = 0; i < 60; i++) a.advance(1 / 60, 0);
+  for (let i = 0; i < 30; i++) b.advance(1 / 30, 0);
+  assert.equal(a.step, 60);
+  assert.deepEqual(a.particles, b.particles);
+});
+
+test('velocity Verlet conserves spring energy where explicit Euler gains it', () => {
+  const energy = (sim, k) => {
+    const p = sim.particles;
+    let e = 0;
+    for (let i = 0; i < sim.particleCount; i++) {
+      const b = i * PARTICLE_STRIDE;
+      for (let a = 0; a < 3; a++) e += 0.5 * p[b + 3 + a] ** 2 + 0.5 * k * (p[b + 6 + a] - p[b + a]) ** 2;
+    }
+    return e;
+  };
+  const drift = (integrator) => {
+    const params = new SimParams({ noiseStrength: 0, dampingOrdered: 1, speedCap: 0, integrator });
+    const sim = new Simulation(params, { particleCount: 64, seed: 2 });
+    for (let i = 0; i < sim.particleCount; i++) sim.particles[i * PARTICLE_STRIDE + 3] = 0.3;
+    const e0 = energy(sim, params.springK);
+    for (let i = 0; i < 600; i++) sim.advance(1 / 60, 1);
+    return energy(sim, params.springK) / e0 - 1;
+  };
+  assert.ok(Math.abs(drift(Integrator.VERLET)) < 0.01, `Verlet drift ${drift(Integrator.VERLET)}`);
+  assert.ok(drift(Integrator.EULER) > 1, `Euler drift ${drift(Integrator.EULER)}`);
+});
+
+test('the Langevin thermostat holds the velocity variance at kT', () => {
+  const kT = 1;
+  const params = new SimParams({ thermostat: 1, temperature: kT, speedCap: 0 });
+  const sim = new Simulation(params, { particleCount: 256, seed: 9 });
+  let sum = 0;
+  let samples = 0;
+  for (let i = 0; i < 400; i++) {
+    sim.advance(1 / 60, 0); // springs off: only the thermostat sets the speed
+    if (i < 200) continue;
+    const p = sim.particles;
+    for (let j = 0; j < sim.particleCount; j++) {
+      const b = j * PARTICLE_STRIDE;
+      sum += (p[b + 3] ** 2 + p[b + 4] ** 2 + p[b + 5] ** 2) / 3;
+    }
+    samples += sim.particleCount;
+  }
+  const v2 = sum / samples;
+  assert.ok(Math.abs(v2 / kT - 1) < 0.1, `<v_i^2> ${v2}`);
+});
\ No newline at end of file
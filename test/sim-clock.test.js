@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimClock, StepAccumulator, maxTimeScale, FIXED_DT, MAX_DT, MAX_FRAME_STEPS } from '../js/sim-clock.js';
+import { STEP_DT } from '../js/physics-spec.js';
+
+test('clamps wall time and applies the time scale', () => {
+  const clock = new SimClock();
+  assert.equal(clock.tick(0.01), 0.01);
+  assert.equal(clock.tick(1), MAX_DT);
+  clock.setTimeScale(2);
+  assert.equal(clock.tick(0.01), 0.02);
+  clock.setTimeScale(100);
+  assert.equal(clock.timeScale, 4);
+  clock.setTimeScale(0);
+  assert.equal(clock.timeScale, 0.1);
+});
+
+test('fixed dt ignores wall time', () => {
+  const clock = new SimClock({ fixedDt: true });
+  assert.equal(clock.tick(0.5), FIXED_DT);
+  assert.equal(clock.tick(0.001), FIXED_DT);
+});
+
+test('paused ticks are zero; step advances exactly one frame', () => {
+  const clock = new SimClock({ fixedDt: true });
+  clock.pause();
+  assert.equal(clock.tick(0.016), 0);
+  clock.step();
+  clock.step();
+  assert.equal(clock.tick(0.016), FIXED_DT);
+  assert.equal(clock.tick(0.016), FIXED_DT);
+  assert.equal(clock.tick(0.016), 0);
+  assert.equal(clock.toggle(), false);
+  assert.equal(clock.tick(0.016), FIXED_DT);
+});
+
+test('accumulator runs whole steps and carries the remainder', () => {
+  const acc = new StepAccumulator();
+  const h = 1 / 60;
+  assert.equal(acc.take(1 / 60, h), 1);
+  assert.equal(acc.take(1 / 30, h), 2);
+  assert.equal(acc.take(1 / 144, h), 0);
+  assert.equal(acc.take(1 / 144, h), 0);
+  assert.equal(acc.take(1 / 144, h), 1); // 3/144 s > 1/60 s
+  assert.ok(Math.abs(acc.remainder - (3 / 144 - h)) < 1e-12);
+  // A long stall is capped, not replayed
+  assert.equal(acc.take(10, h), MAX_FRAME_STEPS);
+  assert.equal(acc.remainder, 0);
+});
+
+test('a slowed single step still runs one physics step, repaid after', () => {
+  const clock = new SimClock({ fixedDt: true });
+  clock.setTimeScale(0.1);
+  clock.step();
+  const dt = clock.tick(0.016);
+  assert.equal(clock.stepping, true);
+
+  const acc = new StepAccumulator();
+  const h = 1 / 60;
+  assert.equal(acc.take(dt, h, 1), 1);
+  assert.ok(acc.remainder < 0);
+  // It ran 9/10 of a step early, so ten such frames still make one step
+  let total = 1;
+  for (let i = 0; i < 9; i++) total += acc.take(dt, h);
+  assert.equal(total, 1);
+  for (let i = 0; i < 10; i++) total += acc.take(dt, h);
+  assert.equal(total, 2);
+
+  clock.resume();
+  clock.tick(0.016);
+  assert.equal(clock.stepping, false);
+});
+
+test('time scale is held where the longest frame fits the step cap', () => {
+  const clock = new SimClock();
+  clock.setTimeScale(4);
+  assert.equal(clock.timeScale, 4);
+  clock.setSubsteps(8);
+  assert.equal(clock.timeScale, maxTimeScale(8));
+  assert.ok(clock.timeScale < 4);
+
+  for (const substeps of [1, 2, 4, 8]) {
+    const acc = new StepAccumulator();
+    const h = STEP_DT / substeps;
+    const dt = MAX_DT * maxTimeScale(substeps);
+    let total = 0;
+    for (let i = 0; i < 100; i++) total += acc.take(dt, h);
+    assert.ok(Math.abs(total * h + acc.remainder - 100 * dt) < 1e-9, `substeps ${substeps}`);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash, hashGridFor, HASH_MAX_PER_CELL, LJ_CUTOFF, LJ_MAX_FORCE } from '../js/spatial-hash.js';
+
+const sigma = 0.2;
+const epsilon = 1;
+
+/** LJ forces on two particles a distance r apart along x. */
+function pairForces(r) {
+  const particles = new Float32Array([0.3, 0.1, -0.2, 0.3 + r, 0.1, -0.2]);
+  const hash = new SpatialHash();
+  hash.build(particles, 3, 2, hashGridFor(LJ_CUTOFF * sigma));
+  const out = new Float32Array(6);
+  hash.computeLJForces(particles, 3, 2, epsilon, sigma, out);
+  return out;
+}
+
+test('pair forces are equal and opposite', () => {
+  for (const r of [0.18, 0.25, 0.4]) {
+    const f = pairForces(r);
+    for (let k = 0; k < 3; k++) assert.ok(Math.abs(f[k] + f[3 + k]) < 1e-9, `r ${r}`);
+    assert.equal(f[1], 0);
+    assert.equal(f[2], 0);
+  }
+});
+
+test('repulsive inside the minimum, attractive outside it', () => {
+  const rMin = sigma * Math.pow(2, 1 / 6);
+  // Particle 0 sits at lower x: repulsion pushes it to -x, attraction to +x
+  assert.ok(pairForces(rMin * 0.95)[0] < 0);
+  assert.ok(pairForces(rMin * 1.2)[0] > 0);
+  assert.ok(Math.abs(pairForces(rMin)[0]) < 1e-3);
+});
+
+test('no force past the cutoff', () => {
+  assert.equal(pairForces(LJ_CUTOFF * sigma * 1.01)[0], 0);
+  assert.ok(pairForces(LJ_CUTOFF * sigma * 0.99)[0] > 0);
+});
+
+test('the per-pair clamp bounds overlapping particles', () => {
+  const f = pairForces(sigma * 0.3);
+  assert.ok(Math.abs(Math.abs(f[0]) - LJ_MAX_FORCE) < 1e-3, `F ${f[0]}`);
+});
+
+test('the CPU hash caps cells like the GPU and counts what it drops', () => {
+  const count = HASH_MAX_PER_CELL + 10;
+  const particles = new Float32Array(count * 3).fill(0.01); // all in one cell
+  const hash = new SpatialHash();
+  const grid = hashGridFor(1);
+  hash.build(particles, 3, count, grid);
+  assert.equal(hash.overflow, 10);
+  const ci = hash.cellStart.findIndex((s, c) => hash.cellStart[c + 1] - s > 0);
+  assert.equal(hash.cellStart[ci + 1] - hash.cellStart[ci], HASH_MAX_PER_CELL);
+  assert.equal(hash.entries[hash.cellStart[ci + 1] - 1], HASH_MAX_PER_CELL - 1); // lowest indices kept
+
+  hash.build(particles, 3, HASH_MAX_PER_CELL, grid);
+  assert.equal(hash.overflow, 0);
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StateMachine, State, MELT_TEMPERATURE } from '../js/state-machine.js';
+
+function run(sm, seconds, dt = 1 / 60) {
+  for (let t = 0; t < seconds - 1e-9; t += dt) sm.update(dt);
+}
+
+test('starts ordered and clickable', () => {
+  const sm = new StateMachine();
+  assert.equal(sm.state, State.ORDERED);
+  assert.equal(sm.tOrder, 1);
+  assert.ok(sm.canClick);
+  assert.equal(sm.clickInstruction, 'click to shatter');
+});
+
+test('full cycle: shatter, chaos, reassemble, ordered', () => {
+  const sm = new StateMachine();
+  sm.click();
+  assert.equal(sm.state, State.SHATTERING);
+  run(sm, 1.6);
+  assert.equal(sm.state, State.CHAOS);
+  assert.equal(sm.tOrder, 0);
+  sm.click();
+  assert.equal(sm.state, State.REASSEMBLING);
+  run(sm, 2.1);
+  assert.equal(sm.state, State.ORDERED);
+  assert.equal(sm.tOrder, 1);
+});
+
+test('clicks during a transition are ignored', () => {
+  const sm = new StateMachine();
+  sm.click();
+  sm.update(0.5);
+  const before = { state: sm.state, tOrder: sm.tOrder, elapsed: sm.elapsed };
+  assert.equal(sm.canClick, false);
+  sm.click();
+  assert.deepEqual({ state: sm.state, tOrder: sm.tOrder, elapsed: sm.elapsed }, before);
+
+  run(sm, 1.1);
+  sm.click();
+  sm.update(1.0);
+  assert.equal(sm.state, State.REASSEMBLING);
+  sm.click();
+  assert.equal(sm.state, State.REASSEMBLING);
+});
+
+test('shattering eases out cubic', () => {
+  const sm = new StateMachine();
+  sm.click();
+  sm.update(0.75); // halfway through 1.5 s
+  assert.ok(Math.abs(sm.tOrder - (1 - (1 - 0.5 ** 3))) < 1e-12);
+  let last = sm.tOrder;
+  for (let i = 0; i < 60; i++) {
+    sm.update(1 / 60);
+    assert.ok(sm.tOrder <= last);
+    last = sm.tOrder;
+  }
+});
+
+test('reassembling eases in-out quad and is symmetric', () => {
+  const sm = new StateMachine();
+  sm.click();
+  sm.update(10);
+  sm.click();
+  sm.update(0.5); // quarter of 2 s
+  assert.ok(Math.abs(sm.tOrder - 0.125) < 1e-12);
+  sm.update(0.5);
+  assert.ok(Math.abs(sm.tOrder - 0.5) < 1e-12);
+  sm.update(0.5);
+  assert.ok(Math.abs(sm.tOrder - 0.875) < 1e-12);
+});
+
+test('one huge step lands exactly on the end state', () => {
+  const sm = new StateMachine();
+  sm.click();
+  sm.update(100);
+  assert.equal(sm.state, State.CHAOS);
+  assert.equal(sm.tOrder, 0);
+});
+
+test('temperature mode blocks clicks and leaves to ORDERED', () => {
+  const sm = new StateMachine();
+  sm.click();
+  sm.update(10);
+  sm.setTemperatureMode(true);
+  assert.equal(sm.state, State.THERMOSTAT);
+  assert.equal(sm.canClick, false);
+  run(sm, 3);
+  assert.ok(sm.tOrder > 0.99);
+  sm.setTemperatureMode(false);
+  assert.equal(sm.state, State.ORDERED);
+  assert.equal(sm.tOrder, 1);
+});
+
+test('springs relax as the thermostat temperature rises', () => {
+  const sm = new StateMachine();
+  sm.setTemperature(MELT_TEMPERATURE / 2);
+  sm.setTemperatureMode(true);
+  run(sm, 5);
+  assert.ok(Math.abs(sm.tOrder - 0.5) < 1e-3);
+  sm.setTemperature(MELT_TEMPERATURE * 2);
+  run(sm, 5);
+  assert.ok(sm.tOrder < 1e-3);
+});
+
+test('durationScale stretches transitions', () => {
+  const sm = new StateMachine();
+  sm.durationScale = 2;
+  sm.click();
+  run(sm, 1.6);
+  assert.equal(sm.state, State.SHATTERING);
+  run(sm, 1.5);
+  assert.equal(sm.state, State.CHAOS);
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, ZipWriter } from '../js/zip.js';
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('stored entries are readable back from the central directory', async () => {
+  const zip = new ZipWriter();
+  const files = [['frame_00000.png', 'first'], ['frame_00001.png', 'second frame']];
+  for (const [name, text] of files) await zip.add(name, new Blob([text]));
+  const bytes = new Uint8Array(await zip.finish().arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+
+  let p = view.getUint32(end + 16, true);
+  for (const [name, text] of files) {
+    assert.equal(view.getUint32(p, true), 0x02014b50);
+    const nameLen = view.getUint16(p + 28, true);
+    assert.equal(new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen)), name);
+
+    // Follow the offset to the local header and its data
+    const local = view.getUint32(p + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const size = view.getUint32(local + 18, true);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    assert.equal(new TextDecoder().decode(data), text);
+    assert.equal(view.getUint32(local + 14, true), crc32(data));
+    p += 46 + nameLen;
+  }
+});
\ No newline at end of file